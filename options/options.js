@@ -1,11 +1,44 @@
 /* Options page logic for Google News Summaries */
 
+// Keep in sync with DEFAULT_MODELS in src/background.js
+const DEFAULT_MODELS = {
+  openai: 'gpt-5-nano',
+  anthropic: 'claude-3-5-haiku-latest',
+  gemini: 'gemini-2.0-flash',
+  custom: ''
+};
+
 const DEFAULTS = {
   provider: 'openai',
   model: 'gpt-5-nano',
   apiKey: '',
-  deepFetch: false,
-  systemPrompt: `You are a news summarizer.\n- Return exactly one concise sentence (max 25 words).\n- No emojis, no quotes, no markdown.\n- Be factual and neutral.`
+  anthropicApiKey: '',
+  geminiApiKey: '',
+  customBaseUrl: '',
+  customApiKey: '',
+  customApiStyle: 'chat',
+  stream: true,
+  requestTimeoutSeconds: 60,
+  maxRetries: 2,
+  summaryCacheHours: 24,
+  summaryFormat: 'oneline',
+  targetLanguage: '',
+  // Mirrors DEFAULT_USER_TEMPLATE in background.js
+  userPromptTemplate: `Summarize the following content {{format}}:
+{{#translation}}{{translation}}
+{{/translation}}{{#title}}Title: {{title}}
+{{/title}}{{#source}}Source: {{source}}{{#publishedAt}} ({{publishedAt}}){{/publishedAt}}
+{{/source}}{{#author}}By: {{author}}
+{{/author}}---
+{{text}}
+---`,
+  fallbackChain: [],
+  providerCooldownMinutes: 5,
+  // Mirrors CONTENT_STRATEGIES in background.js: card | metadata | full
+  contentStrategy: 'full',
+  maxExtraPages: 2,
+  extractionRules: [],
+  systemPrompt: `You are a news summarizer.\n- Follow the requested format exactly.\n- No emojis, no quotes, no markdown emphasis or headings.\n- Be factual and neutral.`
 };
 
 const els = {};
@@ -22,7 +55,31 @@ function cacheEls() {
   els.provider = document.getElementById('provider');
   els.model = document.getElementById('model');
   els.apiKey = document.getElementById('apiKey');
-  els.deepFetch = document.getElementById('deepFetch');
+  els.anthropicApiKey = document.getElementById('anthropicApiKey');
+  els.geminiApiKey = document.getElementById('geminiApiKey');
+  els.customBaseUrl = document.getElementById('customBaseUrl');
+  els.customApiKey = document.getElementById('customApiKey');
+  els.customApiStyle = document.getElementById('customApiStyle');
+  els.fallbackChain = document.getElementById('fallbackChain');
+  els.providerCooldownMinutes = document.getElementById('providerCooldownMinutes');
+  els.requestTimeoutSeconds = document.getElementById('requestTimeoutSeconds');
+  els.maxRetries = document.getElementById('maxRetries');
+  els.summaryCacheHours = document.getElementById('summaryCacheHours');
+  els.summaryFormat = document.getElementById('summaryFormat');
+  els.targetLanguage = document.getElementById('targetLanguage');
+  els.userPromptTemplate = document.getElementById('userPromptTemplate');
+  els.previewBtn = document.getElementById('previewBtn');
+  els.loadModelsBtn = document.getElementById('loadModelsBtn');
+  els.modelOptions = document.getElementById('modelOptions');
+  els.modelCapabilities = document.getElementById('modelCapabilities');
+  els.promptPreview = document.getElementById('promptPreview');
+  els.contentStrategy = document.getElementById('contentStrategy');
+  els.maxExtraPages = document.getElementById('maxExtraPages');
+  els.extractionRules = document.getElementById('extractionRules');
+  els.importRulesBtn = document.getElementById('importRulesBtn');
+  els.importRulesFile = document.getElementById('importRulesFile');
+  els.exportRulesBtn = document.getElementById('exportRulesBtn');
+  els.stream = document.getElementById('stream');
   els.systemPrompt = document.getElementById('systemPrompt');
   els.status = document.getElementById('status');
   els.testBtn = document.getElementById('testBtn');
@@ -33,33 +90,332 @@ function cacheEls() {
 async function loadSettings() {
   const stored = await chrome.storage.local.get(Object.keys(DEFAULTS));
   const settings = { ...DEFAULTS, ...stored };
-  console.log('[GNS][Options] Loaded settings:', { ...settings, apiKey: settings.apiKey ? '[set]' : '' });
+  console.log('[GNS][Options] Loaded settings:', redactSettings(settings));
   els.provider.value = settings.provider;
   els.model.value = settings.model;
   els.apiKey.value = settings.apiKey;
-  els.deepFetch.checked = !!settings.deepFetch;
+  els.anthropicApiKey.value = settings.anthropicApiKey;
+  els.geminiApiKey.value = settings.geminiApiKey;
+  els.customBaseUrl.value = settings.customBaseUrl;
+  els.customApiKey.value = settings.customApiKey;
+  els.customApiStyle.value = settings.customApiStyle;
+  els.fallbackChain.value = formatFallbackChain(settings.fallbackChain);
+  els.providerCooldownMinutes.value = settings.providerCooldownMinutes;
+  els.requestTimeoutSeconds.value = settings.requestTimeoutSeconds;
+  els.maxRetries.value = settings.maxRetries;
+  els.summaryCacheHours.value = settings.summaryCacheHours;
+  els.contentStrategy.value = settings.contentStrategy;
+  els.maxExtraPages.value = settings.maxExtraPages;
+  els.extractionRules.value = formatExtractionRules(settings.extractionRules);
+  els.stream.checked = settings.stream !== false;
+  els.summaryFormat.value = settings.summaryFormat;
+  els.targetLanguage.value = settings.targetLanguage;
+  els.userPromptTemplate.value = settings.userPromptTemplate;
   els.systemPrompt.value = settings.systemPrompt;
+  els.provider.dataset.previous = settings.provider;
+  updateProviderFields();
+  showCapabilities();
 }
 
 function bindEvents() {
   els.form.addEventListener('submit', onSave);
   els.testBtn.addEventListener('click', onTest);
+  els.previewBtn.addEventListener('click', onPreview);
+  els.loadModelsBtn.addEventListener('click', onLoadModels);
+  els.model.addEventListener('input', scheduleCapabilities);
+  els.customApiStyle.addEventListener('change', showCapabilities);
+  els.provider.addEventListener('change', onProviderChange);
+  els.fallbackChain.addEventListener('input', updateProviderFields);
+  els.importRulesBtn.addEventListener('click', () => els.importRulesFile.click());
+  els.importRulesFile.addEventListener('change', onImportRules);
+  els.exportRulesBtn.addEventListener('click', onExportRules);
 }
 
-async function onSave(e) {
-  e.preventDefault();
-  const settings = {
+// Show only the fields (API key etc.) of the selected provider and of providers in the fallback chain
+function updateProviderFields() {
+  const provider = els.provider.value;
+  const used = new Set([provider]);
+  try {
+    parseFallbackChain(els.fallbackChain.value).forEach(e => used.add(e.provider));
+  } catch {
+    // invalid lines are reported on save
+  }
+  document.querySelectorAll('[data-provider]').forEach(el => {
+    el.hidden = !used.has(el.dataset.provider);
+  });
+  els.model.placeholder = provider === 'custom' ? 'e.g. llama3.1 (as named by your server)' : `e.g. ${DEFAULT_MODELS[provider] || ''}`;
+}
+
+function onProviderChange() {
+  const previous = els.provider.dataset.previous;
+  const provider = els.provider.value;
+  // Swap the model name only if it was left at the previous provider's default
+  const model = els.model.value.trim();
+  if (!model || model === DEFAULT_MODELS[previous]) {
+    els.model.value = DEFAULT_MODELS[provider] || '';
+  }
+  els.provider.dataset.previous = provider;
+  // The loaded list belonged to the previous provider
+  els.modelOptions.innerHTML = '';
+  updateProviderFields();
+  showCapabilities();
+}
+
+// Fill the model suggestions from the provider's models endpoint
+async function onLoadModels() {
+  let settings;
+  try {
+    settings = readForm();
+  } catch (err) {
+    setStatus(err.message, 'error');
+    return;
+  }
+  setStatus('Loading models…', 'loading');
+  els.loadModelsBtn.disabled = true;
+  try {
+    const resp = await sendRuntimeMessage({ type: 'listModels', settings });
+    if (!resp || !resp.ok) throw new Error((resp && resp.error) || 'Could not load models.');
+    els.modelOptions.innerHTML = '';
+    resp.models.forEach((m) => {
+      const option = document.createElement('option');
+      option.value = m.id;
+      option.label = m.label !== m.id ? `${m.label} · ${describeCapabilities(m.capabilities, settings)}` : describeCapabilities(m.capabilities, settings);
+      els.modelOptions.appendChild(option);
+    });
+    setStatus(`Loaded ${resp.models.length} models. Pick one from the Model field's suggestions.`, 'ok');
+    showCapabilities();
+  } catch (err) {
+    setStatus('Loading models failed: ' + (err && err.message ? err.message : String(err)), 'error');
+  } finally {
+    els.loadModelsBtn.disabled = false;
+  }
+}
+
+let capabilitiesTimer = null;
+function scheduleCapabilities() {
+  clearTimeout(capabilitiesTimer);
+  capabilitiesTimer = setTimeout(showCapabilities, 300);
+}
+
+// Show what the background knows about the model in the field (discovered, learned or inferred)
+async function showCapabilities() {
+  const provider = els.provider.value;
+  const model = els.model.value.trim();
+  if (!model) {
+    els.modelCapabilities.textContent = '';
+    return;
+  }
+  try {
+    const resp = await sendRuntimeMessage({ type: 'modelCapabilities', settings: { provider, model } });
+    if (!resp || !resp.ok || els.model.value.trim() !== model) return;
+    const described = describeCapabilities(resp.capabilities, { provider, customApiStyle: els.customApiStyle.value });
+    els.modelCapabilities.textContent = resp.capabilities.source === 'inferred'
+      ? `${described} (inferred from the model name; corrected if the provider rejects a request)`
+      : described;
+  } catch {
+    els.modelCapabilities.textContent = '';
+  }
+}
+
+function describeCapabilities(caps, settings) {
+  if (!caps) return '';
+  const api = settings.provider === 'custom' ? settings.customApiStyle : caps.api;
+  const parts = [];
+  if (settings.provider === 'openai' || settings.provider === 'custom') parts.push(api === 'responses' ? 'Responses API' : 'Chat API');
+  parts.push(caps.stream === false ? 'no streaming' : 'streaming');
+  parts.push(caps.jsonSchema === false ? 'no JSON schema' : 'JSON schema');
+  if (caps.contextWindow) parts.push(`${formatTokens(caps.contextWindow)} context`);
+  return parts.join(' · ');
+}
+
+function formatTokens(n) {
+  if (n >= 1000000) return `${Math.round(n / 100000) / 10}M`;
+  if (n >= 1000) return `${Math.round(n / 1000)}k`;
+  return String(n);
+}
+
+// Parse "provider: model" lines; throws on unknown providers so the user can fix the line
+function parseFallbackChain(value) {
+  const entries = [];
+  const lines = String(value || '').split('\n');
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    const m = line.match(/^([a-z]+)\s*(?:[:\s]\s*(.*))?$/i);
+    const provider = m ? m[1].toLowerCase() : '';
+    if (!m || !Object.prototype.hasOwnProperty.call(DEFAULT_MODELS, provider)) {
+      throw new Error(`Fallback line ${i + 1}: expected "provider: model" with provider one of ${Object.keys(DEFAULT_MODELS).join(', ')}.`);
+    }
+    entries.push({ provider, model: (m[2] || '').trim() || DEFAULT_MODELS[provider] });
+  });
+  return entries;
+}
+
+function formatFallbackChain(chain) {
+  return (Array.isArray(chain) ? chain : [])
+    .map(e => `${e.provider}: ${e.model || ''}`.trim())
+    .join('\n');
+}
+
+// Build settings from current form values; throws if a field is invalid
+function readForm() {
+  return {
     provider: els.provider.value,
     model: els.model.value.trim(),
     apiKey: els.apiKey.value.trim(),
-    deepFetch: els.deepFetch.checked,
+    anthropicApiKey: els.anthropicApiKey.value.trim(),
+    geminiApiKey: els.geminiApiKey.value.trim(),
+    customBaseUrl: els.customBaseUrl.value.trim(),
+    customApiKey: els.customApiKey.value.trim(),
+    customApiStyle: els.customApiStyle.value,
+    fallbackChain: parseFallbackChain(els.fallbackChain.value),
+    providerCooldownMinutes: Math.max(0, parseInt(els.providerCooldownMinutes.value, 10) || 0),
+    requestTimeoutSeconds: Math.min(600, Math.max(5, parseInt(els.requestTimeoutSeconds.value, 10) || DEFAULTS.requestTimeoutSeconds)),
+    maxRetries: readRetries(els.maxRetries.value),
+    summaryCacheHours: readCacheHours(els.summaryCacheHours.value),
+    contentStrategy: els.contentStrategy.value,
+    maxExtraPages: readExtraPages(els.maxExtraPages.value),
+    extractionRules: parseExtractionRulesJson(els.extractionRules.value),
+    stream: els.stream.checked,
+    summaryFormat: els.summaryFormat.value,
+    targetLanguage: els.targetLanguage.value,
+    userPromptTemplate: els.userPromptTemplate.value.trim() || DEFAULTS.userPromptTemplate,
     systemPrompt: els.systemPrompt.value.trim() || DEFAULTS.systemPrompt
   };
-  console.log('[GNS][Options] Saving settings:', { ...settings, apiKey: settings.apiKey ? '[set]' : '' });
+}
+
+// Empty or invalid input restores the default; 0 is a valid choice
+function readRetries(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(5, Math.max(0, n)) : DEFAULTS.maxRetries;
+}
+
+function readCacheHours(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(720, Math.max(0, n)) : DEFAULTS.summaryCacheHours;
+}
+
+function readExtraPages(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(10, Math.max(0, n)) : DEFAULTS.maxExtraPages;
+}
+
+// Site rules are edited as JSON; throws on invalid JSON, the background checks the selectors
+function parseExtractionRulesJson(value) {
+  const text = String(value || '').trim();
+  if (!text) return [];
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Site rules: invalid JSON (${err.message}).`);
+  }
+  if (!Array.isArray(rules)) throw new Error('Site rules: expected a JSON array of rules.');
+  return rules;
+}
+
+function formatExtractionRules(rules) {
+  return Array.isArray(rules) && rules.length ? JSON.stringify(rules, null, 2) : '';
+}
+
+// Validated, normalized rules from the background, which owns the selector engine
+async function checkExtractionRules(rules) {
+  const resp = await sendRuntimeMessage({ type: 'checkExtractionRules', rules });
+  if (!resp || !resp.ok) throw new Error((resp && resp.error) || 'Could not check the site rules.');
+  if (resp.errors && resp.errors.length) throw new Error('Site rules: ' + resp.errors.join(' · '));
+  return resp.rules;
+}
+
+// Merge a shared rules file into the editor; imported rules replace existing ones for the same host
+async function onImportRules() {
+  const file = els.importRulesFile.files && els.importRulesFile.files[0];
+  els.importRulesFile.value = '';
+  if (!file) return;
+  try {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (err) {
+      throw new Error(`${file.name} is not valid JSON (${err.message}).`);
+    }
+    const imported = await checkExtractionRules(Array.isArray(data) ? data : data && data.rules);
+    const current = parseExtractionRulesJson(els.extractionRules.value);
+    const hosts = new Set(imported.map(r => r.host));
+    const merged = [...current.filter(r => !hosts.has(String(r && r.host || '').trim().toLowerCase())), ...imported];
+    els.extractionRules.value = formatExtractionRules(merged);
+    setStatus(`Imported ${imported.length} site rule${imported.length === 1 ? '' : 's'}. Save to apply them.`, 'ok');
+  } catch (err) {
+    setStatus('Import failed: ' + (err && err.message ? err.message : String(err)), 'error');
+  }
+}
+
+async function onExportRules() {
+  try {
+    const rules = await checkExtractionRules(parseExtractionRulesJson(els.extractionRules.value));
+    const blob = new Blob([JSON.stringify(rules, null, 2) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'gns-site-rules.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    setStatus(`Exported ${rules.length} site rule${rules.length === 1 ? '' : 's'}.`, 'ok');
+  } catch (err) {
+    setStatus('Export failed: ' + (err && err.message ? err.message : String(err)), 'error');
+  }
+}
+
+function redactSettings(settings) {
+  return {
+    ...settings,
+    apiKey: settings.apiKey ? '[set]' : '',
+    anthropicApiKey: settings.anthropicApiKey ? '[set]' : '',
+    geminiApiKey: settings.geminiApiKey ? '[set]' : '',
+    customApiKey: settings.customApiKey ? '[set]' : ''
+  };
+}
+
+async function onSave(e) {
+  e.preventDefault();
+  let settings;
+  try {
+    settings = readForm();
+  } catch (err) {
+    setStatus(err.message, 'error');
+    return;
+  }
+  try {
+    await checkTemplates(settings);
+    settings.extractionRules = await checkExtractionRules(settings.extractionRules);
+  } catch (err) {
+    setStatus(err.message, 'error');
+    return;
+  }
+  console.log('[GNS][Options] Saving settings:', redactSettings(settings));
   await chrome.storage.local.set(settings);
   setStatus('Settings saved.', 'ok');
 }
 
+// Template syntax is checked by the background, which owns the template engine
+async function checkTemplates(settings) {
+  const resp = await sendRuntimeMessage({ type: 'previewPrompt', settings });
+  if (!resp || !resp.ok) throw new Error((resp && resp.error) || 'Could not check the prompt templates.');
+  if (resp.errors && resp.errors.length) throw new Error(resp.errors.join(' · '));
+  return resp;
+}
+
+// Render both prompts against a sample article
+async function onPreview() {
+  els.promptPreview.hidden = true;
+  try {
+    const resp = await checkTemplates(readForm());
+    els.promptPreview.textContent = `SYSTEM\n${resp.system}\n\nUSER\n${resp.user}`;
+    els.promptPreview.hidden = false;
+    setStatus('', '');
+  } catch (err) {
+    setStatus('Preview failed: ' + (err && err.message ? err.message : String(err)), 'error');
+  }
+}
+
 function sendRuntimeMessage(msg) {
   return new Promise((resolve, reject) => {
     try {
@@ -83,14 +439,10 @@ async function onTest() {
   const sample = 'This is a sample news paragraph: World leaders met to discuss economic cooperation and pledged new measures to stabilize markets.';
   try {
     // Build settings from current form values and persist them before testing
-    const settings = {
-      provider: els.provider.value,
-      model: els.model.value.trim(),
-      apiKey: els.apiKey.value.trim(),
-      deepFetch: els.deepFetch.checked,
-      systemPrompt: (els.systemPrompt.value.trim() || DEFAULTS.systemPrompt)
-    };
-    console.log('[GNS][Options] Testing settings:', { ...settings, apiKey: settings.apiKey ? '[set]' : '' });
+    const settings = readForm();
+    await checkTemplates(settings);
+    settings.extractionRules = await checkExtractionRules(settings.extractionRules);
+    console.log('[GNS][Options] Testing settings:', redactSettings(settings));
     await chrome.storage.local.set(settings);
 
     const resp = await sendRuntimeMessage({ type: 'summarize', text: sample, settings });
@@ -98,11 +450,12 @@ async function onTest() {
 
     if (!resp) throw new Error('No response from background (port closed).');
     if (!resp.ok) throw new Error(resp.error || 'Background returned an error');
-    if (!resp.summary || typeof resp.summary !== 'string') throw new Error('No summary returned by background.');
+    if (!resp.summary) throw new Error('No summary returned by background.');
 
-    setStatus('Test successful.', 'ok');
+    setStatus(resp.providerLabel ? `Test successful (answered by ${resp.providerLabel}).` : 'Test successful.', 'ok');
     els.testResult.hidden = false;
-    els.testResult.textContent = resp.summary;
+    // Structured summaries come back as objects; show them as formatted JSON
+    els.testResult.textContent = typeof resp.summary === 'string' ? resp.summary : JSON.stringify(resp.summary, null, 2);
   } catch (err) {
     setStatus('Test failed: ' + (err && err.message ? err.message : String(err)), 'error');
     els.testResult.hidden = false;
@@ -2,28 +2,93 @@
  * Google News Summaries - Background Service Worker (MV3)
  * - Stores and retrieves settings from chrome.storage.local
  * - Performs cross-origin fetch for article HTML (bypasses page CORS)
- * - Calls AI provider (OpenAI) to summarize text to a single line
+ * - Calls AI provider (OpenAI, Anthropic, Gemini or an OpenAI-compatible server) to summarize text to a single line
  */
 
+// Default model per provider, used when the Model field is left empty
+const DEFAULT_MODELS = {
+  openai: 'gpt-5-nano',
+  anthropic: 'claude-3-5-haiku-latest',
+  gemini: 'gemini-2.0-flash',
+  // Self-hosted servers have no sensible default; the user must name a model
+  custom: ''
+};
+
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+// {{format}} and {{translation}} carry the summary-format and language instructions
+const DEFAULT_USER_TEMPLATE = `Summarize the following content {{format}}:
+{{#translation}}{{translation}}
+{{/translation}}{{#title}}Title: {{title}}
+{{/title}}{{#source}}Source: {{source}}{{#publishedAt}} ({{publishedAt}}){{/publishedAt}}
+{{/source}}{{#author}}By: {{author}}
+{{/author}}---
+{{text}}
+---`;
+
 const DEFAULT_SETTINGS = {
   provider: 'openai',
   model: 'gpt-5-nano',
   apiKey: '',
-  deepFetch: true,
-  systemPrompt: `You are a news summarizer.\n- Return exactly one concise sentence (max 25 words).\n- No emojis, no quotes, no markdown.\n- Be factual and neutral.\n-- If the article speaks about a list, for example a list of books or games, mention it in a bullet point list format. Use identations or format as needed.`
+  anthropicApiKey: '',
+  geminiApiKey: '',
+  customBaseUrl: '',
+  customApiKey: '',
+  customApiStyle: 'chat',
+  // Forward tokens to the bubble as they are generated
+  stream: true,
+  // oneline | paragraph | bullets | tldr | structured (see SUMMARY_FORMATS)
+  summaryFormat: 'oneline',
+  // '' keeps the article's language, 'browser' follows the browser UI, otherwise a language code
+  targetLanguage: '',
+  // Hard deadline for one summary (redirect resolution, article fetch and provider calls)
+  requestTimeoutSeconds: 60,
+  // Retries per request on 429 / 5xx / network errors (provider APIs and publisher pages)
+  maxRetries: 2,
+  // How long a finished summary is reused for the same article; 0 disables the cache
+  summaryCacheHours: 24,
+  // Ordered [{ provider, model }] tried after the primary provider fails
+  fallbackChain: [],
+  providerCooldownMinutes: 5,
+  // What gets summarized: card | metadata | full (see CONTENT_STRATEGIES)
+  contentStrategy: 'full',
+  // Further pages of a multi-page article to fetch (see fetchExtraPages)
+  maxExtraPages: 2,
+  extractionRules: [],
+  // Prompt templates (see renderTemplate); length and layout come from the summary format
+  userPromptTemplate: DEFAULT_USER_TEMPLATE,
+  systemPrompt: `You are a news summarizer.\n- Follow the requested format exactly.\n- No emojis, no quotes, no markdown emphasis or headings.\n- Be factual and neutral.`
 };
+
+// Earlier default system prompts, which hard-coded the one-line format
+const LEGACY_SYSTEM_PROMPTS = [
+  `You are a news summarizer.\n- Return exactly one concise sentence (max 25 words).\n- No emojis, no quotes, no markdown.\n- Be factual and neutral.\n-- If the article speaks about a list, for example a list of books or games, mention it in a bullet point list format. Use identations or format as needed.`,
+  `You are a news summarizer.\n- Return exactly one concise sentence (max 25 words).\n- No emojis, no quotes, no markdown.\n- Be factual and neutral.`
+];
  
 
 async function getSettings() {
   console.log('[GNS] Getting settings from storage...');
   const stored = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
-  console.log('[GNS] Raw stored settings:', stored);
+  console.log('[GNS] Raw stored settings:', redactSettings(stored));
   const settings = { ...DEFAULT_SETTINGS, ...stored };
-  console.log('[GNS] Merged settings:', { ...settings, apiKey: settings.apiKey ? '[set]' : '[empty]' });
+  console.log('[GNS] Merged settings:', redactSettings(settings));
   return settings;
 }
 
+// Mask API keys before settings are logged
+function redactSettings(settings) {
+  return {
+    ...settings,
+    apiKey: settings.apiKey ? '[set]' : '[empty]',
+    anthropicApiKey: settings.anthropicApiKey ? '[set]' : '[empty]',
+    geminiApiKey: settings.geminiApiKey ? '[set]' : '[empty]',
+    customApiKey: settings.customApiKey ? '[set]' : '[empty]'
+  };
+}
+
 chrome.runtime.onInstalled.addListener(async () => {
+  await migrateStoredSettings();
   // Ensure defaults exist without clobbering existing values
   const current = await chrome.storage.local.get(Object.keys(DEFAULT_SETTINGS));
   const toSet = {};
@@ -35,12 +100,34 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
 });
 
+// Rewrites settings saved by older versions; runs on install and on every update
+async function migrateStoredSettings() {
+  const stored = await chrome.storage.local.get(['systemPrompt', 'structuredOutput', 'summaryFormat', 'deepFetch', 'contentStrategy']);
+  const updates = {};
+  // An untouched legacy default would force one sentence whatever format is picked
+  if (LEGACY_SYSTEM_PROMPTS.includes(stored.systemPrompt)) updates.systemPrompt = DEFAULT_SETTINGS.systemPrompt;
+  // The structured-output checkbox became the 'structured' summary format
+  if (typeof stored.structuredOutput !== 'undefined') {
+    if (stored.structuredOutput === true && !stored.summaryFormat) updates.summaryFormat = 'structured';
+    await chrome.storage.local.remove('structuredOutput');
+  }
+  // The deep-fetch checkbox became the content strategy; unchecked meant the card only
+  if (typeof stored.deepFetch !== 'undefined') {
+    if (!stored.contentStrategy) updates.contentStrategy = stored.deepFetch === false ? 'card' : 'full';
+    await chrome.storage.local.remove('deepFetch');
+  }
+  if (Object.keys(updates).length) {
+    console.log('[GNS] Migrating stored settings:', Object.keys(updates));
+    await chrome.storage.local.set(updates);
+  }
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Use async handler via sendResponse and return true
   (async () => {
     try {
       const safeMsg = (message && message.settings)
-        ? { ...message, settings: { ...message.settings, apiKey: message.settings.apiKey ? '[set]' : '' } }
+        ? { ...message, settings: redactSettings(message.settings) }
         : message;
       console.log('[GNS] Received message:', safeMsg);
       switch (message?.type) {
@@ -59,29 +146,49 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ ok: true, html });
           break;
         }
-        case 'summarizeFromUrl': {
-          const { url } = message;
-          if (!url) {
-            sendResponse({ ok: false, error: 'Missing URL' });
-            break;
-          }
-          const settings = await getSettings();
-          const text = await extractTextFromUrl(url);
-          const summary = await summarizeWithProvider(text, settings);
-          sendResponse({ ok: true, summary });
+        case 'listModels': {
+          // Options page: models offered by the selected provider, with their capabilities
+          const models = await listProviderModels({ ...DEFAULT_SETTINGS, ...(message.settings || {}) });
+          sendResponse({ ok: true, models });
+          break;
+        }
+        case 'modelCapabilities': {
+          const capabilities = await getModelCapabilities({ ...DEFAULT_SETTINGS, ...(message.settings || {}) });
+          sendResponse({ ok: true, capabilities });
+          break;
+        }
+        case 'previewPrompt': {
+          // Options page: validate the templates and render them against a sample article
+          const settings = { ...DEFAULT_SETTINGS, ...(message.settings || {}) };
+          const errors = [
+            ...validateTemplate(settings.systemPrompt).map(err => `System prompt: ${err}`),
+            ...validateTemplate(settings.userPromptTemplate, { requireText: true }).map(err => `User prompt: ${err}`)
+          ];
+          const prompt = errors.length ? null : buildPrompt(SAMPLE_ARTICLE.text, settings, SAMPLE_ARTICLE.meta);
+          sendResponse({ ok: true, errors, system: prompt && prompt.system, user: prompt && prompt.user });
+          break;
+        }
+        case 'checkExtractionRules': {
+          // Options page: selector syntax is checked here, where the selector engine lives
+          const { rules, errors } = parseExtractionRules(message.rules);
+          sendResponse({ ok: true, rules, errors });
           break;
         }
+        case 'summarizeFromUrl':
         case 'summarize': {
-          const { text, settings: incoming } = message;
-          if (!text || !text.trim()) {
-            sendResponse({ ok: false, error: 'No text to summarize' });
-            break;
+          const job = createJob(message.requestId);
+          try {
+            const result = await runSummarize(message, job);
+            sendResponse({ ok: true, ...result });
+          } finally {
+            job.dispose();
           }
-          // Prefer settings passed from the Options page test button; fallback to stored settings.
-          const settings = incoming ? { ...DEFAULT_SETTINGS, ...incoming } : await getSettings();
-          console.log('[GNS] Settings loaded for summarize:', { ...settings, apiKey: settings.apiKey ? '[set]' : '' });
-          const summary = await summarizeWithProvider(text, settings);
-          sendResponse({ ok: true, summary });
+          break;
+        }
+        case 'cancel': {
+          const job = activeJobs.get(message.requestId);
+          if (job) job.abort('cancelled');
+          sendResponse({ ok: true, cancelled: !!job });
           break;
         }
         default:
@@ -96,101 +203,845 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Fetch raw HTML for a given URL using extension context (bypasses page CORS)
+ * Shared by the one-shot messages and the streaming port.
+ * `job` (see createJob) carries the AbortSignal and the optional onDelta callback (streaming).
+ */
+async function runSummarize(message, job = {}) {
+  switch (message?.type) {
+    case 'summarizeFromUrl': {
+      const { url } = message;
+      if (!url) throw new Error('Missing URL');
+      const settings = withMessageOverrides(await getSettings(), message);
+      applyJobSettings(job, settings);
+      const articleUrl = await resolveArticleUrl(url, job);
+      const metadataOnly = settings.contentStrategy === 'metadata';
+
+      // Same article, model, prompt and format as an earlier click: answer from the cache
+      const cacheKey = await summaryCacheKey(articleUrl, settings);
+      if (!message.force) {
+        const hit = await getCachedSummary(cacheKey, settings);
+        if (hit) return hit;
+      }
+
+      const article = await extractTextFromUrl(articleUrl, job, {
+        resolved: true,
+        rules: settings.extractionRules,
+        maxExtraPages: settings.maxExtraPages,
+        metadataOnly
+      });
+      let text = article ? article.text : '';
+      // Paywall, consent page, bot check or failed fetch: the card's headline beats summarizing the wall
+      const wall = article ? article.wall : 'unavailable';
+      const headline = cardHeadlineText(message.card);
+      const limited = wall || null;
+      if (limited) {
+        // Never summarize the wall itself, even when the card has nothing to fall back to
+        if (!headline) throw new Error(WALL_ERRORS[wall] || WALL_ERRORS.short);
+        console.log(`[GNS] Article ${wall}; summarizing the card headline and snippet instead`);
+        text = headline;
+      } else if (!text.trim()) {
+        throw new Error(WALL_ERRORS.short);
+      }
+      // The publisher's declared language beats guessing from the text; the Google News page is the last resort
+      const language = (article && article.meta.language) || detectTextLanguage(text) || normalizeLanguage(message.language);
+      const meta = mergeArticleMeta(message.card, article && article.meta, { language });
+      const result = await summarizeWithFallback(text, settings, job, meta);
+      // Byline for the bubble, from the publisher's metadata
+      result.article = { title: meta.title, source: meta.source, author: meta.author, publishedAt: meta.publishedAt, url: meta.url };
+      if (limited) result.limited = limited;
+      result.contentStrategy = metadataOnly ? 'metadata' : 'full';
+      // For the bubble's source inspector (the prompts themselves are in result.prompts)
+      result.source = {
+        url: articleUrl,
+        strategy: limited ? 'card' : article.strategy,
+        pages: limited ? 0 : article.pages || 1,
+        chars: text.length
+      };
+      // Only cache summaries of the real article by the primary model, not of the Google News page,
+      // a failed fetch or a fallback provider
+      if (!articleUrl.includes('news.google.com') && limited !== 'unavailable' && answeredByPrimary(result, settings)) {
+        await putCachedSummary(cacheKey, result, settings);
+      }
+      return result;
+    }
+    case 'summarize': {
+      const { text, settings: incoming } = message;
+      if (!text || !text.trim()) throw new Error('No text to summarize');
+      // Prefer settings passed from the Options page test button; fallback to stored settings.
+      const settings = withMessageOverrides(incoming ? { ...DEFAULT_SETTINGS, ...incoming } : await getSettings(), message);
+      console.log('[GNS] Settings loaded for summarize:', redactSettings(settings));
+      applyJobSettings(job, settings);
+      // Card text is short; the Google News edition language is a better signal than the text itself
+      const language = normalizeLanguage(message.language) || detectTextLanguage(text);
+      const result = await summarizeWithFallback(text, settings, job, mergeArticleMeta(message.card, null, { language }));
+      result.contentStrategy = 'card';
+      result.source = { url: (message.card && message.card.url) || '', strategy: 'card', pages: 0, chars: text.length };
+      return result;
+    }
+    default:
+      throw new Error('Unknown message type');
+  }
+}
+
+/**
+ * Summary cache: finished summaries in chrome.storage.local, keyed by a SHA-256 over the canonical
+ * article URL, provider and model, a hash of the prompt settings, and the summary format.
+ * Entries expire after settings.summaryCacheHours; beyond SUMMARY_CACHE_MAX_ENTRIES or
+ * SUMMARY_CACHE_MAX_BYTES the least recently used entries are evicted.
+ */
+const SUMMARY_CACHE_KEY = 'summaryCache';
+const SUMMARY_CACHE_MAX_ENTRIES = 300;
+const SUMMARY_CACHE_MAX_BYTES = 2 * 1024 * 1024;
+
+// Tracking parameters that do not change which article a URL points to
+const TRACKING_PARAMS = /^(utm_[a-z]+|fbclid|gclid|dclid|mc_cid|mc_eid|ocid|cmpid|smid|ref|taid)$/i;
+
+function canonicalArticleUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    u.hostname = u.hostname.toLowerCase().replace(/^www\./, '');
+    [...u.searchParams.keys()].forEach((k) => { if (TRACKING_PARAMS.test(k)) u.searchParams.delete(k); });
+    u.searchParams.sort();
+    return u.toString().replace(/\/(\?|$)/, '$1');
+  } catch {
+    return String(url || '');
+  }
+}
+
+async function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function summaryCacheKey(articleUrl, settings) {
+  const format = summaryFormat(settings).id;
+  const promptHash = await sha256Hex(JSON.stringify([
+    settings.systemPrompt, settings.userPromptTemplate, settings.targetLanguage || ''
+  ]));
+  const model = `${settings.provider}:${normalizeModelId(settings.provider, settings.model)}`;
+  // How the text was obtained: description only, or the full article with this host's site rule and page limit
+  const extraction = settings.contentStrategy === 'metadata' ? 'metadata' : await sha256Hex(JSON.stringify([
+    findExtractionRule(articleUrl, settings.extractionRules), Number(settings.maxExtraPages) || 0
+  ]));
+  return sha256Hex([canonicalArticleUrl(articleUrl), model, promptHash, format, extraction].join('|'));
+}
+
+// Keys name the primary provider and model; a fallback's answer must not be served as theirs
+function answeredByPrimary(result, settings) {
+  return result.provider === settings.provider
+    && normalizeModelId(result.provider, result.model) === normalizeModelId(settings.provider, settings.model);
+}
+
+function summaryCacheTtlMs(settings) {
+  const hours = Number(settings.summaryCacheHours);
+  return Number.isFinite(hours) && hours > 0 ? hours * 3600000 : 0;
+}
+
+/**
+ * Read-modify-write of one object in chrome.storage.local (or another storage area). Calls for the
+ * same key run one at a time so concurrent summaries don't overwrite each other's entries;
+ * fn returns { value, changed }. Keys are locked by name, so each key lives in one area only.
+ */
+const storageLocks = new Map();
+function withStoredObject(key, fn, area = chrome.storage.local) {
+  const run = (storageLocks.get(key) || Promise.resolve()).then(async () => {
+    const stored = await area.get(key);
+    const obj = stored[key] || {};
+    const { value, changed } = await fn(obj);
+    if (changed) await area.set({ [key]: obj });
+    return value;
+  });
+  storageLocks.set(key, run.catch(() => {}));
+  return run;
+}
+
+async function getCachedSummary(key, settings) {
+  const ttl = summaryCacheTtlMs(settings);
+  if (!ttl) return null;
+  try {
+    return await withStoredObject(SUMMARY_CACHE_KEY, (cache) => {
+      const entry = cache[key];
+      if (!entry) return { value: null, changed: false };
+      if (Date.now() - entry.createdAt > ttl) {
+        delete cache[key];
+        return { value: null, changed: true };
+      }
+      entry.lastUsedAt = Date.now();
+      console.log('[GNS] Summary cache hit');
+      return { value: { ...entry.result, cached: true, cachedAt: entry.createdAt }, changed: true };
+    });
+  } catch (err) {
+    console.warn('[GNS] Summary cache read failed:', err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+async function putCachedSummary(key, result, settings) {
+  const ttl = summaryCacheTtlMs(settings);
+  if (!ttl) return;
+  try {
+    await withStoredObject(SUMMARY_CACHE_KEY, (cache) => {
+      const now = Date.now();
+      // Prompts hold the whole article; the cache keeps only the summary and its metadata
+      const { cached, cachedAt, prompts, ...clean } = result;
+      cache[key] = { result: clean, createdAt: now, lastUsedAt: now, bytes: JSON.stringify(clean).length };
+      pruneSummaryCache(cache, ttl, now);
+      return { value: null, changed: true };
+    });
+  } catch (err) {
+    console.warn('[GNS] Summary cache write failed:', err && err.message ? err.message : err);
+  }
+}
+
+// Drop expired entries, then least recently used ones until both limits hold
+function pruneSummaryCache(cache, ttl, now) {
+  for (const [k, entry] of Object.entries(cache)) {
+    if (now - entry.createdAt > ttl) delete cache[k];
+  }
+  const byAge = Object.entries(cache).sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+  let count = byAge.length;
+  let bytes = byAge.reduce((n, [, entry]) => n + (entry.bytes || 0), 0);
+  for (const [k, entry] of byAge) {
+    if (count <= SUMMARY_CACHE_MAX_ENTRIES && bytes <= SUMMARY_CACHE_MAX_BYTES) break;
+    delete cache[k];
+    count--;
+    bytes -= entry.bytes || 0;
+  }
+}
+
+/**
+ * Metadata for prompt templates: { title, source, publishedAt, url, language }.
+ * The card's headline and publisher name are cleaner than the page's <title>;
+ * the fetched page knows the publication time and the resolved publisher URL.
+ */
+function mergeArticleMeta(card, page, extra = {}) {
+  const c = card || {};
+  const p = page || {};
+  return {
+    title: c.title || p.title || '',
+    source: c.source || p.source || '',
+    publishedAt: p.publishedAt || c.publishedAt || '',
+    url: p.url || c.url || '',
+    author: p.author || '',
+    description: p.description || '',
+    ...extra
+  };
+}
+
+// Title and snippet of the Google News card, the fallback when the article itself is unreadable
+function cardHeadlineText(card) {
+  const c = card || {};
+  return [c.title, c.snippet].map((s) => (s || '').trim()).filter(Boolean).join('. ');
+}
+
+// The bubble re-runs one card with { format } or { original: true } without touching the saved settings
+function withMessageOverrides(settings, message) {
+  const out = { ...settings };
+  const format = message && message.format;
+  if (format && SUMMARY_FORMATS[format]) out.summaryFormat = format;
+  const strategy = message && message.contentStrategy;
+  if (CONTENT_STRATEGIES.includes(strategy)) out.contentStrategy = strategy;
+  if (message && message.original) out.targetLanguage = '';
+  return out;
+}
+
+/**
+ * What a click summarizes: 'card' is the Google News title and snippet (the content script sends
+ * it as a plain summarize message), 'metadata' the publisher's OG / JSON-LD description without
+ * the article body, 'full' the extracted article.
+ */
+const CONTENT_STRATEGIES = ['card', 'metadata', 'full'];
+
+/**
+ * Streaming channel: the content script connects, posts one summarize/summarizeFromUrl
+ * message and receives { type: 'delta', text } and { type: 'status', text } (e.g. retry notices)
+ * messages followed by 'done' or 'error'.
+ * Disconnecting the port (user closed the bubble) aborts the provider request.
+ */
+const SUMMARIZE_PORT = 'gns-summarize';
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== SUMMARIZE_PORT) return;
+  let closed = false;
+  const post = (msg) => {
+    if (closed) return;
+    try { port.postMessage(msg); } catch { closed = true; }
+  };
+  const job = createJob();
+  job.onDelta = (text) => post({ type: 'delta', text });
+  job.onStatus = (text) => post({ type: 'status', text });
+  port.onDisconnect.addListener(() => {
+    closed = true;
+    job.abort('cancelled');
+  });
+  port.onMessage.addListener(async (message) => {
+    console.log('[GNS] Received port message:', message);
+    if (message?.type === 'cancel') {
+      job.abort('cancelled');
+      return;
+    }
+    try {
+      const result = await runSummarize(message, job);
+      post({ type: 'done', ...result });
+    } catch (err) {
+      if (isCancelled(job) && job.signal.reason?.reason !== 'timeout') {
+        console.log('[GNS] Summarize stream cancelled by the page');
+        return;
+      }
+      console.error('[GNS] Error in summarize stream:', err);
+      post({ type: 'error', error: String(err && err.message ? err.message : err) });
+    } finally {
+      job.dispose();
+    }
+  });
+});
+
+/**
+ * A job is one summarize request: an AbortController shared by every fetch, helper tab
+ * and provider call it makes, plus a deadline started once settings are known.
+ * Jobs with a requestId can be cancelled by a one-shot { type: 'cancel', requestId } message.
+ */
+const activeJobs = new Map();
+
+class JobAbortedError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'AbortError';
+    this.reason = reason; // 'timeout' | 'cancelled'
+  }
+}
+
+function createJob(id = '') {
+  const controller = new AbortController();
+  let timer = null;
+  const job = {
+    id,
+    signal: controller.signal,
+    onDelta: null,
+    // Hidden tabs opened to resolve Google News redirects; closed if the job ends early
+    helperTabs: new Set(),
+    abort(reason, message) {
+      if (controller.signal.aborted) return;
+      controller.abort(new JobAbortedError(message || 'Summary cancelled.', reason));
+    },
+    startDeadline(seconds) {
+      const secs = Number(seconds) > 0 ? Number(seconds) : DEFAULT_SETTINGS.requestTimeoutSeconds;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        job.abort('timeout', `Timed out after ${secs}s. The publisher or provider did not respond; the limit can be changed in Options.`);
+      }, secs * 1000);
+    },
+    dispose() {
+      clearTimeout(timer);
+      if (id) activeJobs.delete(id);
+    }
+  };
+  controller.signal.addEventListener('abort', () => {
+    for (const tabId of job.helperTabs) {
+      chrome.tabs.remove(tabId).catch(() => {});
+    }
+    job.helperTabs.clear();
+  });
+  if (id) activeJobs.set(id, job);
+  return job;
+}
+
+// Per-request limits come from settings, which are only known once the message is handled
+function applyJobSettings(job, settings) {
+  if (job.startDeadline) job.startDeadline(settings.requestTimeoutSeconds);
+  job.maxRetries = settings.maxRetries;
+}
+
+function isCancelled(job) {
+  return !!(job && job.signal && job.signal.aborted);
+}
+
+// Rethrow the job's abort reason (timeout or cancel) instead of whatever error the aborted fetch produced
+function throwIfAborted(job) {
+  if (isCancelled(job)) {
+    throw job.signal.reason || new JobAbortedError('Summary cancelled.', 'cancelled');
+  }
+}
+
+// setTimeout as a promise that rejects as soon as the job is aborted
+function sleep(ms, job = {}) {
+  return new Promise((resolve, reject) => {
+    if (isCancelled(job)) return reject(job.signal.reason);
+    const t = setTimeout(() => {
+      if (job.signal) job.signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(job.signal.reason || new JobAbortedError('Summary cancelled.', 'cancelled'));
+    };
+    if (job.signal) job.signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Fetch raw HTML for a given URL using extension context (bypasses page CORS).
+ * The host permissions reach the whole web, so the URL and the page finally served are checked
+ * with checkFetchableUrl (see guardedFetch). Non-HTML responses are refused and bodies are read
+ * up to MAX_HTML_BYTES.
  */
-async function fetchHtml(url) {
+async function fetchHtml(url, job = {}) {
   // Try default fetch first
   try {
-  const res = await fetch(url, {
-      redirect: 'follow',
+    const res = await guardedFetch(url, {
       headers: {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-      }
-    });
+      },
+      signal: job.signal
+    }, { job, retry: true });
     if (!res.ok) throw new Error(`Fetch failed (${res.status})`);
-    return await res.text();
+    return await readHtml(res, url);
   } catch (e1) {
+    throwIfAborted(job);
+    if (e1 instanceof FetchRefusedError) throw e1;
     // Some publishers require a referrer; retry with a Google News referrer
     try {
-      const res2 = await fetch(url, {
-    redirect: 'follow',
+      const res2 = await guardedFetch(url, {
         referrer: 'https://news.google.com/',
-    headers: {
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-    }
-  });
+        headers: {
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        },
+        signal: job.signal
+      }, { job });
       if (!res2.ok) throw new Error(`Fetch failed (${res2.status})`);
-      return await res2.text();
+      return await readHtml(res2, url);
     } catch (e2) {
+      throwIfAborted(job);
+      if (e2 instanceof FetchRefusedError) throw e2;
       throw e1;
     }
   }
 }
 
-// Try to detect an immediate redirect target (Location header) without following it
-async function probeExternalRedirect(url) {
+/**
+ * Every page fetch goes through here: the URL is checked before the request and the URL finally
+ * served (res.url) after it, before any of the body is read. Redirects are followed by the browser:
+ * in extension workers redirect: 'manual' only yields an opaque response without the Location, so
+ * intermediate hops cannot be checked from here, only where the chain ends.
+ */
+async function guardedFetch(url, init, { job = {}, retry = false } = {}) {
+  assertFetchable(url);
+  const request = { ...init, redirect: 'follow' };
+  const res = retry
+    ? await fetchWithRetry(url, request, { job, label: 'Publisher' })
+    : await fetch(url, request);
+  if (res.url && res.url !== url) {
+    const reason = checkFetchableUrl(res.url);
+    if (reason) {
+      try { await res.body?.cancel(); } catch {}
+      throw refuseFetch(res.url, `redirected from ${url}: ${reason}`);
+    }
+    console.log('[GNS] Publisher redirect:', url, '->', res.url);
+  }
+  return res;
+}
+
+/**
+ * Response body as text in the page's own charset; res.text() always assumes UTF-8, which turns
+ * Shift_JIS, windows-1251 or ISO-8859-x pages into mojibake. The charset comes from the BOM, then
+ * the Content-Type header, then <meta charset> / <meta http-equiv> in the first 4 KB. Undeclared
+ * pages are UTF-8 when they decode cleanly as such, windows-1252 otherwise (the browser default).
+ */
+async function readHtml(res, url = res.url) {
+  const contentType = res.headers.get('content-type') || '';
+  if (contentType && !HTML_CONTENT_TYPES.test(contentType)) {
+    try { await res.body?.cancel(); } catch {}
+    throw refuseFetch(res.url || url, `content type ${contentType.split(';')[0].trim()} is not HTML`);
+  }
+  const bytes = await readCappedBody(res, MAX_HTML_BYTES, res.url || url);
+  return decodeHtmlBytes(bytes, contentType);
+}
+
+/**
+ * Guards for publisher fetches: only http(s), never loopback, private (RFC 1918, CGNAT, IPv6 ULA),
+ * link-local or otherwise reserved addresses, and only HTML / XHTML bodies up to MAX_HTML_BYTES.
+ * Hostnames are checked as written; the browser resolves DNS, so a public name pointing at a
+ * private address is not caught here.
+ */
+const MAX_HTML_BYTES = 5 * 1024 * 1024;
+const HTML_CONTENT_TYPES = /^\s*(text\/html|application\/xhtml\+xml)\s*(;|$)/i;
+
+class FetchRefusedError extends Error {
+  constructor(message, { url = '', reason = '' } = {}) {
+    super(message);
+    this.name = 'FetchRefusedError';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+function refuseFetch(url, reason) {
+  console.warn('[GNS] Refused to fetch', url, '-', reason);
+  return new FetchRefusedError(`Refused to fetch ${url}: ${reason}`, { url, reason });
+}
+
+function assertFetchable(url) {
+  const reason = checkFetchableUrl(url);
+  if (reason) throw refuseFetch(url, reason);
+}
+
+// Why a URL must not be fetched, or null when it may be
+function checkFetchableUrl(url) {
+  let u;
   try {
-    const res = await fetch(url, {
-      redirect: 'manual',
-      headers: { 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' }
-    });
-    if (res.status >= 300 && res.status < 400) {
-      const loc = res.headers.get('Location') || res.headers.get('location');
-      if (loc) {
-        const abs = new URL(loc, url).href;
-        if (isLikelyArticleUrl(abs)) return abs;
-      }
+    u = new URL(url);
+  } catch {
+    return 'not a valid URL';
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return `${u.protocol} URLs are not allowed`;
+  if (u.username || u.password) return 'URLs with credentials are not allowed';
+  const host = u.hostname.toLowerCase().replace(/\.$/, '');
+  if (!host) return 'no host';
+  if (host === 'localhost' || /\.(localhost|local|internal|home\.arpa)$/.test(host)) return `${host} is a local hostname`;
+  if (!host.includes('.') && !host.startsWith('[')) return `${host} is not a public hostname`;
+  const ipv4 = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4 && isPrivateIPv4(ipv4.slice(1).map(Number))) return `${host} is a private, loopback or reserved address`;
+  if (host.startsWith('[') && isPrivateIPv6(host.slice(1, -1))) return `${host} is a private, loopback or link-local address`;
+  return null;
+}
+
+function isPrivateIPv4([a, b]) {
+  return a === 0 || a === 10 || a === 127 // "this network", private, loopback
+    || (a === 100 && b >= 64 && b <= 127) // carrier-grade NAT
+    || (a === 169 && b === 254) // link-local
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 198 && (b === 18 || b === 19)) // benchmarking
+    || a >= 224; // multicast and reserved
+}
+
+function isPrivateIPv6(address) {
+  const groups = ipv6Groups(address);
+  if (!groups) return true; // not parseable: refuse rather than guess
+  const ipv4 = (i) => [groups[i] >> 8, groups[i] & 255, groups[i + 1] >> 8, groups[i + 1] & 255];
+  const zeros = (from, to) => groups.slice(from, to).every((g) => g === 0);
+  if (zeros(0, 7) && groups[7] <= 1) return true; // :: and ::1
+  // These carry an IPv4 address, and that address is what actually gets reached:
+  // IPv4-mapped ::ffff:0:0/96, NAT64 64:ff9b::/96 and 6to4 2002::/16
+  if (zeros(0, 5) && groups[5] === 0xffff) return isPrivateIPv4(ipv4(6));
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return isPrivateIPv4(ipv4(6));
+  if (groups[0] === 0x2002) return isPrivateIPv4(ipv4(1));
+  const first = groups[0];
+  return (first & 0xfe00) === 0xfc00 // unique local fc00::/7
+    || (first & 0xffc0) === 0xfe80 // link-local fe80::/10
+    || (first & 0xff00) === 0xff00; // multicast
+}
+
+// The eight 16-bit groups of an IPv6 address ('::' expanded, a dotted IPv4 tail converted), or null
+function ipv6Groups(address) {
+  let a = address.toLowerCase().replace(/%.*$/, '');
+  const tail = a.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (tail) {
+    const [b1, b2, b3, b4] = tail.slice(2).map(Number);
+    if ([b1, b2, b3, b4].some((b) => b > 255)) return null;
+    a = `${tail[1]}${((b1 << 8) | b2).toString(16)}:${((b3 << 8) | b4).toString(16)}`;
+  }
+  const halves = a.split('::');
+  if (halves.length > 2) return null;
+  const parse = (part) => (part ? part.split(':') : []);
+  const head = parse(halves[0]);
+  const rest = halves.length === 2 ? parse(halves[1]) : [];
+  const missing = 8 - head.length - rest.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+  if (!groups.every((g) => /^[0-9a-f]{1,4}$/.test(g))) return null;
+  return groups.map((g) => parseInt(g, 16));
+}
+
+// Body bytes, stopping at maxBytes; a longer page is cut there (the article is near the top)
+async function readCappedBody(res, maxBytes, url) {
+  const declared = Number(res.headers.get('content-length'));
+  if (declared > maxBytes) console.warn('[GNS] Page declares', declared, 'bytes; reading the first', maxBytes, 'of', url);
+  if (!res.body || !res.body.getReader) {
+    const all = new Uint8Array(await res.arrayBuffer());
+    return all.length > maxBytes ? trimPartialCharacter(all.subarray(0, maxBytes)) : all;
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let total = 0;
+  let truncated = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (total + value.length > maxBytes) {
+      chunks.push(value.subarray(0, maxBytes - total));
+      total = maxBytes;
+      truncated = true;
+      console.warn('[GNS] Page exceeds', maxBytes, 'bytes; truncated', url);
+      try { await reader.cancel(); } catch {}
+      break;
     }
-  } catch {/* ignore */}
+    chunks.push(value);
+    total += value.length;
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return truncated ? trimPartialCharacter(bytes) : bytes;
+}
+
+// Cut back to the last ASCII byte so a multi-byte character split by the cap doesn't break decoding
+function trimPartialCharacter(bytes) {
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] >= 0x80 && bytes.length - end < 4) end--;
+  return bytes.subarray(0, end);
+}
+
+function decodeHtmlBytes(bytes, contentType) {
+  const charset = sniffCharset(bytes, contentType);
+  if (charset) return new TextDecoder(charset).decode(bytes);
   try {
-    // Retry with a Google News referrer
-    const res2 = await fetch(url, {
-      redirect: 'manual',
-      referrer: 'https://news.google.com/',
-      headers: { 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' }
-    });
-    if (res2.status >= 300 && res2.status < 400) {
-      const loc2 = res2.headers.get('Location') || res2.headers.get('location');
-      if (loc2) {
-        const abs2 = new URL(loc2, url).href;
-        if (isLikelyArticleUrl(abs2)) return abs2;
-      }
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+function sniffCharset(bytes, contentType) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+
+  const header = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+  const fromHeader = header && supportedCharset(header[1]);
+  if (fromHeader) return fromHeader;
+
+  // The meta tag is ASCII in every charset a page can declare this way, so latin1 reads it safely
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 4096));
+  const meta = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head);
+  const fromMeta = meta && supportedCharset(meta[1]);
+  // A page that could read its own meta tag as ASCII is not UTF-16, whatever it claims
+  if (fromMeta) return /^utf-16/.test(fromMeta) ? 'utf-8' : fromMeta;
+  return null;
+}
+
+// Canonical TextDecoder encoding name for a charset label, or null when it is unknown
+function supportedCharset(label) {
+  try {
+    return new TextDecoder(label.trim()).encoding;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a Google News read URL into the publisher's article URL.
+ * Returns the input unchanged for other URLs, or when the redirect could not be followed.
+ */
+async function resolveArticleUrl(url, job = {}) {
+  if (!url.includes('news.google.com')) return url;
+  // The same story opened from another Google News page has the same article ID
+  const known = await getResolvedUrl(url);
+  if (known) {
+    console.log('[GNS] Publisher URL known from an earlier resolution:', known);
+    return known;
+  }
+  const decoded = decodeGoogleNewsUrl(url);
+  if (decoded.url) {
+    console.log('[GNS] Publisher URL decoded from the article ID:', decoded.url);
+    await putResolvedUrl(url, decoded.url);
+    return decoded.url;
+  }
+  console.log('[GNS] Processing Google News URL (' + (decoded.opaque ? 'opaque article ID' : 'undecodable article ID') + '), following redirects to get final article URL');
+  try {
+    // Use content script to follow the redirect by opening a tab
+    const finalUrl = await followGoogleNewsRedirectWithTab(url, job);
+    if (finalUrl && finalUrl !== url) {
+      console.log('[GNS] Successfully followed redirect to:', finalUrl);
+      await putResolvedUrl(url, finalUrl);
+      return finalUrl;
     }
-  } catch {/* ignore */}
-  return '';
+  } catch (error) {
+    throwIfAborted(job);
+    console.error('[GNS] Error following Google News redirect:', error);
+  }
+  return url;
+}
+
+/**
+ * Resolution cache: Google News article ID -> publisher URL, so a story already resolved
+ * (from any Google News page, by decoding or by the hidden tab) needs no further work. Entries expire after RESOLUTION_TTL_MS;
+ * the oldest are dropped beyond RESOLUTION_MAX_ENTRIES.
+ */
+const RESOLUTION_CACHE_KEY = 'resolvedUrls';
+const RESOLUTION_TTL_MS = 30 * 24 * 3600000;
+const RESOLUTION_MAX_ENTRIES = 2000;
+
+// "https://news.google.com/read/CBMi...?hl=en-US" and ".../rss/articles/CBMi..." -> "CBMi..."
+function googleNewsArticleId(url) {
+  const m = String(url || '').match(/news\.google\.com\/(?:[^?#]*\/)?(?:read|articles)\/([A-Za-z0-9_-]+)/);
+  return m ? m[1] : null;
+}
+
+/**
+ * Offline decoding of Google News article IDs. Older IDs ("CBMi...", "CAIi...") are base64url
+ * protobuf messages carrying the publisher URL as a string field, optionally followed by the AMP
+ * URL in field 26 (the 0xd2 0x01 tag). Newer IDs carry an opaque token starting with "AU_yqL"
+ * instead, which only Google can map to a URL; those still need the hidden tab.
+ * Returns { url } when decoded, { opaque: true } for the newer format, or {} otherwise.
+ * A URL-like field with control or non-printable characters, or a second scheme, means a length
+ * prefix was misread; the whole ID is then left to network resolution rather than guessed at.
+ */
+const OPAQUE_ID_PREFIX = 'AU_yqL';
+const AMP_URL_FIELD = 26;
+
+function decodeGoogleNewsUrl(url) {
+  const id = googleNewsArticleId(url);
+  const bytes = id ? base64UrlToBytes(id) : null;
+  if (!bytes) return {};
+  const fields = readProtobufStrings(bytes);
+  const text = (field) => new TextDecoder('utf-8', { fatal: false }).decode(field.value);
+  const candidates = fields.map((f) => ({ field: f.field, value: text(f) })).filter((f) => /^https?:\/\//i.test(f.value));
+  if (candidates.some((f) => !isCleanDecodedUrl(f.value))) {
+    console.warn('[GNS] Google News ID decoded to a malformed URL; resolving it over the network');
+    return {};
+  }
+  const urls = candidates.filter((f) => isValidExternalUrl(f.value));
+  const canonical = urls.find((f) => f.field !== AMP_URL_FIELD) || urls[0];
+  if (canonical) return { url: canonical.value };
+  if (fields.some((f) => text(f).startsWith(OPAQUE_ID_PREFIX))) return { opaque: true };
+  return {};
+}
+
+// Printable ASCII or other non-control characters only (U+FFFD marks undecodable bytes), one scheme
+function isCleanDecodedUrl(value) {
+  if (/[\u0000-\u0020\u007f-\u009f\ufffd]/.test(value)) return false;
+  return (value.match(/https?:\/\//gi) || []).length === 1;
+}
+
+function base64UrlToBytes(s) {
+  try {
+    const b64 = s.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((s.length + 3) % 4);
+    const bin = atob(b64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  } catch {
+    return null;
+  }
+}
+
+// Top-level length-delimited fields of a protobuf message, as { field, value: Uint8Array }.
+// Stops at the first malformed tag: some IDs end with bytes that are not a complete field.
+function readProtobufStrings(bytes) {
+  const fields = [];
+  let pos = 0;
+  const varint = () => {
+    let result = 0;
+    let shift = 0;
+    while (pos < bytes.length && shift < 35) {
+      const b = bytes[pos++];
+      result += (b & 0x7f) * 2 ** shift;
+      if (!(b & 0x80)) return result;
+      shift += 7;
+    }
+    return null;
+  };
+  while (pos < bytes.length) {
+    const tag = varint();
+    if (tag == null) break;
+    const field = Math.floor(tag / 8);
+    const wireType = tag & 7;
+    if (wireType === 0) {
+      if (varint() == null) break;
+    } else if (wireType === 1 || wireType === 5) {
+      pos += wireType === 1 ? 8 : 4;
+    } else if (wireType === 2) {
+      const len = varint();
+      if (len == null || pos + len > bytes.length) break;
+      fields.push({ field, value: bytes.subarray(pos, pos + len) });
+      pos += len;
+    } else {
+      break;
+    }
+  }
+  return fields;
+}
+
+async function getResolvedUrl(url) {
+  const id = googleNewsArticleId(url);
+  if (!id) return null;
+  try {
+    const stored = await chrome.storage.local.get(RESOLUTION_CACHE_KEY);
+    const entry = (stored[RESOLUTION_CACHE_KEY] || {})[id];
+    return entry && Date.now() - entry.resolvedAt < RESOLUTION_TTL_MS ? entry.url : null;
+  } catch {
+    return null;
+  }
+}
+
+async function putResolvedUrl(url, finalUrl) {
+  const id = googleNewsArticleId(url);
+  if (!id || !isValidExternalUrl(finalUrl)) return;
+  try {
+    await withStoredObject(RESOLUTION_CACHE_KEY, (cache) => {
+      const now = Date.now();
+      cache[id] = { url: finalUrl, resolvedAt: now };
+      const entries = Object.entries(cache).filter(([k, entry]) => {
+        if (now - entry.resolvedAt < RESOLUTION_TTL_MS) return true;
+        delete cache[k];
+        return false;
+      });
+      entries.sort((a, b) => a[1].resolvedAt - b[1].resolvedAt)
+        .slice(0, Math.max(0, entries.length - RESOLUTION_MAX_ENTRIES))
+        .forEach(([k]) => delete cache[k]);
+      return { value: null, changed: true };
+    });
+  } catch (err) {
+    console.warn('[GNS] Could not store resolved URL:', err && err.message ? err.message : err);
+  }
 }
 
 /**
  * Extract main text content from a URL by fetching HTML and parsing to article text.
- * Tries a DOM-based main-content extraction first; falls back to htmlToText.
+ * Pass { resolved: true } when the URL already went through resolveArticleUrl, the user's
+ * site rules as { rules } and the page limit for multi-page articles as { maxExtraPages }.
+ * Resolves to { text, strategy, pages, wall, meta } (strategy: see extractArticle; pages: how many
+ * article pages were joined; wall: see detectAccessWall; meta: { url, language, ... }) or null
+ * when nothing could be extracted.
  */
-async function extractTextFromUrl(url) {
+async function extractTextFromUrl(url, job = {}, { resolved = false, rules = [], maxExtraPages = 0, metadataOnly = false } = {}) {
   try {
     console.log('[GNS] Processing URL:', url);
-    
-    if (url.includes('news.google.com')) {
-      console.log('[GNS] Processing Google News URL, following redirects to get final article URL');
-      
-      // Use content script to follow the redirect by opening a tab
-      const finalUrl = await followGoogleNewsRedirectWithTab(url);
-      
-      if (finalUrl && finalUrl !== url) {
-        console.log('[GNS] Successfully followed redirect to:', finalUrl);
-        return await extractTextFromUrl(finalUrl);
-      } else {
-        console.log('[GNS] No redirect found, extracting from Google News page');
-        return await extractTextFromGoogleNewsPage(url);
-      }
+    const target = resolved ? url : await resolveArticleUrl(url, job);
+
+    if (metadataOnly) {
+      // The Google News page's own description says nothing about the article
+      if (target.includes('news.google.com')) return null;
+      return await extractMetadataFromUrl(target, job);
     }
-    
-    return await extractTextFromRegularUrl(url);
+
+    if (target.includes('news.google.com')) {
+      console.log('[GNS] No redirect found, extracting from Google News page');
+      return await extractTextFromGoogleNewsPage(target, job);
+    }
+
+    return await extractTextFromRegularUrl(target, job, { rules, maxExtraPages });
   } catch (error) {
+    // A timeout or cancel must stop the whole pipeline, not fall through to summarizing nothing
+    throwIfAborted(job);
     console.error('[GNS] Error extracting text from URL:', error);
     return null;
   }
 }
 
-async function followGoogleNewsRedirectWithTab(googleNewsUrl) {
+// Upper bound on how long a hidden tab may take to redirect away from Google News
+const TAB_REDIRECT_TIMEOUT_MS = 15000;
+
+async function followGoogleNewsRedirectWithTab(googleNewsUrl, job = {}) {
+  throwIfAborted(job);
+  let tabId = null;
+  const isExternal = (u) => !!u && u !== googleNewsUrl && !u.includes('news.google.com');
   try {
     console.log('[GNS] Following Google News redirect using tab approach');
     
@@ -199,61 +1050,47 @@ async function followGoogleNewsRedirectWithTab(googleNewsUrl) {
       url: googleNewsUrl,
       active: false // Open in background
     });
+    tabId = newTab.id;
+    if (job.helperTabs) job.helperTabs.add(tabId);
     
-    // Wait for the page to load and potentially redirect
-    return new Promise((resolve) => {
-      const checkTab = async () => {
-        try {
-          const tab = await chrome.tabs.get(newTab.id);
-          
-          // Check if the URL has changed (redirect happened)
-          if (tab.url && tab.url !== googleNewsUrl && !tab.url.includes('news.google.com')) {
-            console.log('[GNS] Redirect detected to:', tab.url);
-            
-            // Close the tab and return the final URL
-            await chrome.tabs.remove(newTab.id);
-            resolve(tab.url);
-            return;
-          }
-          
-          // If still loading, wait a bit more
-          if (tab.status === 'loading') {
-            setTimeout(checkTab, 500);
-            return;
-          }
-          
-          // If loaded but still on Google News, wait a bit more for potential redirect
-          if (tab.status === 'complete') {
-            setTimeout(() => {
-              chrome.tabs.get(newTab.id).then(finalTab => {
-                if (finalTab.url && finalTab.url !== googleNewsUrl && !finalTab.url.includes('news.google.com')) {
-                  console.log('[GNS] Final redirect detected to:', finalTab.url);
-                  chrome.tabs.remove(newTab.id);
-                  resolve(finalTab.url);
-                } else {
-                  console.log('[GNS] No redirect detected, staying on Google News');
-                  chrome.tabs.remove(newTab.id);
-                  resolve(null);
-                }
-              });
-            }, 3000); // Wait 3 seconds for potential redirect
-            return;
-          }
-          
-        } catch (error) {
-          console.error('[GNS] Error checking tab:', error);
-          chrome.tabs.remove(newTab.id);
-          resolve(null);
+    // Start checking after 1 second, then poll until redirected, loaded, or out of time
+    const startedAt = Date.now();
+    await sleep(1000, job);
+    while (Date.now() - startedAt < TAB_REDIRECT_TIMEOUT_MS) {
+      const tab = await chrome.tabs.get(tabId);
+      
+      // Check if the URL has changed (redirect happened)
+      if (isExternal(tab.url)) {
+        console.log('[GNS] Redirect detected to:', tab.url);
+        return tab.url;
+      }
+      
+      // If loaded but still on Google News, wait a bit more for potential redirect
+      if (tab.status === 'complete') {
+        await sleep(3000, job); // Wait 3 seconds for potential redirect
+        const finalTab = await chrome.tabs.get(tabId);
+        if (isExternal(finalTab.url)) {
+          console.log('[GNS] Final redirect detected to:', finalTab.url);
+          return finalTab.url;
         }
-      };
+        console.log('[GNS] No redirect detected, staying on Google News');
+        return null;
+      }
       
-      // Start checking after 1 second
-      setTimeout(checkTab, 1000);
-    });
-    
+      // If still loading, wait a bit more
+      await sleep(500, job);
+    }
+    console.warn('[GNS] Gave up waiting for Google News redirect after', TAB_REDIRECT_TIMEOUT_MS, 'ms');
+    return null;
   } catch (error) {
+    throwIfAborted(job);
     console.error('[GNS] Error following Google News redirect with tab:', error);
     return null;
+  } finally {
+    // An aborted job has already closed its helper tabs
+    if (tabId != null && (!job.helperTabs || job.helperTabs.delete(tabId))) {
+      chrome.tabs.remove(tabId).catch(() => {});
+    }
   }
 }
 
@@ -335,22 +1172,25 @@ function isValidExternalUrl(url) {
   }
 }
 
-async function extractTextFromGoogleNewsPage(url) {
+async function extractTextFromGoogleNewsPage(url, job = {}) {
   try {
     console.log('[GNS] Extracting content from Google News page');
     
-    const response = await fetch(url, {
+    const response = await guardedFetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
+      },
+      signal: job.signal
+    }, { job });
     
-    const html = await response.text();
+    const html = await readHtml(response, url);
     console.log('[GNS] Successfully extracted content from Google News page, length:', html.length);
     
-    // Try to extract meaningful content from the Google News page
-    return await tryParse(html);
+    // Try to extract meaningful content from the Google News page; its lang is Google's UI language, not the article's
+    const { text, strategy } = extractArticle(html);
+    return { text, strategy, wall: text.length < MIN_ARTICLE_CHARS ? 'short' : null, meta: { url, language: null } };
   } catch (error) {
+    throwIfAborted(job);
     console.error('[GNS] Error extracting from Google News page:', error);
     throw error;
   }
@@ -969,6 +1809,14 @@ function extractOgUrl(html) {
   return m ? decodeHtml(m[1]) : '';
 }
 
+function absoluteUrl(href, base) {
+  try {
+    return href ? new URL(href, base).href : '';
+  } catch {
+    return '';
+  }
+}
+
 function extractAmpUrl(html) {
   if (!html || typeof html !== 'string') return '';
   const m = html.match(/<link[^>]*rel=["']amphtml["'][^>]*href=["']([^"']+)["']/i);
@@ -986,250 +1834,1897 @@ function extractAnyExternalUrl(html) {
   return '';
 }
 
-function decodeHtml(s) {
-  if (!s) return s;
-  return s
-    .replace(/&/g, '&')
-    .replace(/</g, '<')
-    .replace(/>/g, '>')
-    .replace(/"/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/'/g, "'");
+/**
+ * Decode HTML character references: decimal and hex numeric references (with the windows-1252
+ * remapping browsers apply to 0x80-0x9F) and the named entities of HTML 4 plus the common HTML 5
+ * additions. Unknown names are left as written.
+ */
+function decodeHtml(s) {
+  if (!s) return s;
+  return String(s).replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z][A-Za-z0-9]*));?/g, (match, dec, hex, name) => {
+    if (name) {
+      const code = HTML_ENTITIES.get(name);
+      return code != null && match.endsWith(';') ? String.fromCodePoint(code) : match;
+    }
+    return decodeCharReference(dec != null ? parseInt(dec, 10) : parseInt(hex, 16));
+  });
+}
+
+// windows-1252 characters for the C1 range, as browsers decode &#128; .. &#159;
+const C1_REMAP = [8364, 129, 8218, 402, 8222, 8230, 8224, 8225, 710, 8240, 352, 8249, 338, 141, 381, 143,
+  144, 8216, 8217, 8220, 8221, 8226, 8211, 8212, 732, 8482, 353, 8250, 339, 157, 382, 376];
+
+function decodeCharReference(code) {
+  if (!Number.isFinite(code) || code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '\uFFFD';
+  if (code >= 0x80 && code <= 0x9f) return String.fromCodePoint(C1_REMAP[code - 0x80]);
+  return String.fromCodePoint(code);
+}
+
+// name -> code point; consecutive runs are listed from their first code point
+const HTML_ENTITIES = (() => {
+  const map = new Map();
+  const run = (start, names) => names.split(' ').forEach((name, i) => { if (name !== '-') map.set(name, start + i); });
+  run(160, 'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest '
+    + 'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig '
+    + 'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml');
+  run(913, 'Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho - Sigma Tau Upsilon Phi Chi Psi Omega');
+  run(945, 'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu xi omicron pi rho sigmaf sigma tau upsilon phi chi psi omega');
+  run(8194, 'ensp emsp emsp13 emsp14 - numsp puncsp thinsp hairsp ZeroWidthSpace zwnj zwj lrm rlm dash - - ndash mdash horbar Verbar - lsquo rsquo sbquo - ldquo rdquo bdquo - dagger Dagger bull - - nldr hellip');
+  run(8592, 'larr uarr rarr darr harr');
+  run(8656, 'lArr uArr rArr dArr hArr');
+  Object.entries({
+    Tab: 9, NewLine: 10, excl: 33, quot: 34, QUOT: 34, num: 35, dollar: 36, percnt: 37, amp: 38, AMP: 38, apos: 39,
+    lpar: 40, rpar: 41, ast: 42, plus: 43, comma: 44, period: 46, sol: 47, colon: 58, semi: 59, lt: 60, LT: 60,
+    equals: 61, gt: 62, GT: 62, quest: 63, commat: 64, lsqb: 91, bsol: 92, rsqb: 93, lowbar: 95, grave: 96,
+    lcub: 123, verbar: 124, rcub: 125, COPY: 169, REG: 174,
+    OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732,
+    thetasym: 977, upsih: 978, piv: 982, rsquor: 8217, ldquor: 8222, lsquor: 8218,
+    permil: 8240, prime: 8242, Prime: 8243, lsaquo: 8249, rsaquo: 8250, oline: 8254, frasl: 8260, MediumSpace: 8287,
+    NoBreak: 8288, euro: 8364, image: 8465, weierp: 8472, real: 8476, trade: 8482, alefsym: 8501, crarr: 8629,
+    forall: 8704, part: 8706, exist: 8707, empty: 8709, nabla: 8711, isin: 8712, notin: 8713, ni: 8715, prod: 8719,
+    sum: 8721, minus: 8722, lowast: 8727, radic: 8730, prop: 8733, infin: 8734, ang: 8736, and: 8743, or: 8744,
+    cap: 8745, cup: 8746, int: 8747, there4: 8756, sim: 8764, cong: 8773, asymp: 8776, ne: 8800, equiv: 8801,
+    le: 8804, ge: 8805, sub: 8834, sup: 8835, nsub: 8836, sube: 8838, supe: 8839, oplus: 8853, otimes: 8855,
+    perp: 8869, sdot: 8901, lceil: 8968, rceil: 8969, lfloor: 8970, rfloor: 8971, lang: 10216, rang: 10217,
+    loz: 9674, spades: 9824, clubs: 9827, hearts: 9829, diams: 9830
+  }).forEach(([name, code]) => map.set(name, code));
+  return map;
+})();
+
+// Heuristics to decide if a URL is likely the external article (not an asset/tracker)
+function isDisallowedHost(hostname) {
+  return /(news\.google\.com|google\.[^\/]+|gstatic\.com|googleusercontent\.com|googleapis\.com|doubleclick\.net|googletagmanager\.com|google-analytics\.com|scorecardresearch\.com|adservice\.google\.com|youtube\.com|twitter\.com|facebook\.com|t\.co|cdn\.ampproject\.org|w3\.org|schema\.org|ogp\.me|opengraphprotocol\.org)/i.test(
+    hostname
+  );
+}
+
+function isLikelyArticleUrl(href) {
+  try {
+    const u = new URL(href);
+    if (isDisallowedHost(u.hostname)) return false;
+    const path = u.pathname || '';
+    
+    // Exclude common asset extensions
+    if (/\.(js|css|png|jpe?g|gif|webp|svg|ico|json|xml|woff2?|ttf|eot)(\?|$)/i.test(path)) return false;
+    
+    // Look for common article patterns
+    const articlePatterns = [
+      /\/\d{4}\/\d{2}\/\d{2}\//, // Date patterns like /2025/08/14/
+      /\/article\//, // /article/ in path
+      /\/story\//, // /story/ in path
+      /\/news\//, // /news/ in path
+      /\/post\//, // /post/ in path
+      /\/blog\//, // /blog/ in path
+      /\/[a-z]{2,}\/\d{4}\//, // Short word followed by year
+      /\/[a-z]{2,}\/[a-z]{2,}\//, // Two or more word segments
+    ];
+    
+    // If any article pattern matches, it's likely an article
+    for (const pattern of articlePatterns) {
+      if (pattern.test(path)) {
+        return true;
+      }
+    }
+    
+    // Require some path depth and alphanumeric content, but be less restrictive
+    return path.length > 5 && /[a-zA-Z]/.test(path);
+  } catch {
+    return false;
+  }
+}
+
+// Safety cap on extracted article text; long articles are chunked by summarizeText, not cut here
+const MAX_ARTICLE_CHARS = 200000;
+
+/**
+ * Article extraction. Service workers have no DOMParser, so the HTML is tokenized into a light
+ * element tree (parseHtmlTree), boilerplate subtrees are dropped, and the element holding the
+ * densest run of paragraph text wins, Readability-style: paragraphs score by length and commas,
+ * the score flows to their parent and (halved) grandparent, and candidates lose score in
+ * proportion to their link density. Weaker strategies only run when that finds nothing usable.
+ * Publisher-declared article bodies (JSON-LD, microdata) beat all of them, and a matching site rule
+ * (see parseExtractionRules) beats those.
+ * Returns { text, strategy, meta } with strategy one of STRATEGY_ORDER, or 'none', and meta
+ * from extractPageMeta (without the article body).
+ */
+const STRATEGY_ORDER = ['json-ld', 'microdata', 'density', 'semantic', 'description', 'body'];
+// 'rule' (a site rule's body selectors) is put in front of these by extractArticle
+// Below this many characters a strategy's result is not considered an article
+const MIN_ARTICLE_CHARS = 250;
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Raw-text elements whose content is never markup (or never article text)
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'template', 'noscript']);
+const BOILERPLATE_TAGS = new Set(['script', 'style', 'noscript', 'template', 'textarea', 'svg', 'canvas', 'iframe', 'object', 'form', 'button', 'select', 'nav', 'aside', 'footer', 'header', 'menu', 'dialog']);
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote', 'pre', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'tr', 'td', 'th', 'figure', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'br']);
+// Opening one of these implicitly closes an open <p>
+const CLOSES_P = new Set(['p', 'div', 'section', 'article', 'main', 'ul', 'ol', 'table', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figure', 'hr']);
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'blockquote', 'td']);
+const CANDIDATE_TAGS = new Set(['div', 'section', 'article', 'main', 'td', 'body']);
+
+const NEGATIVE_HINT = /(^|[\s_-])(ad|ads|advert\w*|banner|breadcrumbs?|comments?|cookie\w*|consent|footer|masthead|menu|modal|newsletter|outbrain|pagination|popup|promo\w*|related|share|sharing|sidebar|social|sponsor\w*|subscribe|taboola|tags|toolbar|widget)([\s_-]|$)/i;
+const POSITIVE_HINT = /article|body|content|entry|main|post|story|text/i;
+
+function parseHtmlTree(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  let current = root;
+  const lower = html.toLowerCase();
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+  let m;
+  while ((m = re.exec(html)) !== null) {
+    const token = m[0];
+    if (m[1]) {
+      const tag = m[1].toLowerCase();
+      // Close up to the matching open element; stray end tags are ignored
+      let node = current;
+      while (node !== root && node.tag !== tag) node = node.parent;
+      if (node !== root) current = node.parent;
+    } else if (m[2]) {
+      const tag = m[2].toLowerCase();
+      if (CLOSES_P.has(tag) && current.tag === 'p') current = current.parent;
+      if (tag === 'li' && current.tag === 'li') current = current.parent;
+      const el = { tag, attrs: parseAttributes(m[3] || ''), children: [], parent: current };
+      current.children.push(el);
+      if (RAW_TEXT_TAGS.has(tag)) {
+        // Skip to the end tag without interpreting the content as markup
+        const end = lower.indexOf(`</${tag}`, re.lastIndex);
+        const stop = end === -1 ? html.length : end;
+        el.children.push(html.slice(re.lastIndex, stop));
+        re.lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1 || html.length;
+      } else if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(m[3] || '')) {
+        current = el;
+      }
+    } else if (token[0] !== '<' || token === '<') {
+      current.children.push(token);
+    }
+  }
+  return root;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let m;
+  while ((m = re.exec(source)) !== null) {
+    attrs[m[1].toLowerCase()] = decodeHtml(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+function detachElement(el) {
+  if (el.parent) el.parent.children = el.parent.children.filter((child) => child !== el);
+  el.parent = null;
+}
+
+function isAncestor(ancestor, el) {
+  for (let p = el.parent; p; p = p.parent) if (p === ancestor) return true;
+  return false;
+}
+
+function findElements(node, test, out = []) {
+  for (const child of node.children) {
+    if (typeof child === 'string') continue;
+    if (test(child)) out.push(child);
+    findElements(child, test, out);
+  }
+  return out;
+}
+
+function classAndId(el) {
+  return `${el.attrs.class || ''} ${el.attrs.id || ''}`.trim();
+}
+
+function isBoilerplate(el) {
+  if (BOILERPLATE_TAGS.has(el.tag)) return true;
+  if (el.attrs.hidden != null || el.attrs['aria-hidden'] === 'true') return true;
+  if (/^(navigation|banner|contentinfo|complementary|dialog|alert)$/i.test(el.attrs.role || '')) return true;
+  const hint = classAndId(el);
+  return !!hint && NEGATIVE_HINT.test(hint) && !POSITIVE_HINT.test(hint);
+}
+
+function removeBoilerplate(node) {
+  node.children = node.children.filter((child) => typeof child === 'string' || !isBoilerplate(child));
+  node.children.forEach((child) => { if (typeof child !== 'string') removeBoilerplate(child); });
+  return node;
+}
+
+// Plain text of a subtree; block elements become line breaks so paragraphs survive
+function nodeText(node) {
+  const parts = [];
+  const walk = (n) => {
+    for (const child of n.children) {
+      if (typeof child === 'string') {
+        parts.push(child);
+      } else if (child.tag === 'br') {
+        parts.push('\n');
+      } else if (!RAW_TEXT_TAGS.has(child.tag)) {
+        const block = BLOCK_TAGS.has(child.tag);
+        if (block) parts.push('\n');
+        walk(child);
+        if (block) parts.push('\n');
+      }
+    }
+  };
+  walk(node);
+  return decodeHtml(parts.join(''))
+    .split('\n')
+    .map((line) => line.replace(/[ \t\f\r ]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Text length, linked text length and comma count of every element under root, in one bottom-up
+ * pass: scoring from these instead of re-reading each candidate's subtree keeps deeply nested
+ * pages linear. Lengths count whitespace-collapsed text, close to (not exactly) nodeText's.
+ */
+function textStats(root) {
+  const stats = new Map();
+  const walk = (node, inLink) => {
+    const s = { chars: 0, linkChars: 0, commas: 0 };
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        const text = decodeHtml(child).replace(/\s+/g, ' ').trim();
+        s.chars += text.length;
+        s.commas += (text.match(/[,，、]/g) || []).length;
+        if (inLink) s.linkChars += text.length;
+      } else if (!RAW_TEXT_TAGS.has(child.tag)) {
+        const c = walk(child, inLink || child.tag === 'a');
+        s.chars += c.chars;
+        s.linkChars += c.linkChars;
+        s.commas += c.commas;
+      }
+    }
+    stats.set(node, s);
+    return s;
+  };
+  walk(root, false);
+  return stats;
+}
+
+function linkDensity({ chars, linkChars }) {
+  return chars ? Math.min(1, linkChars / chars) : 0;
+}
+
+function classWeight(el) {
+  const hint = classAndId(el);
+  let weight = 0;
+  if (POSITIVE_HINT.test(hint)) weight += 25;
+  if (NEGATIVE_HINT.test(hint)) weight -= 25;
+  if (el.tag === 'article' || el.attrs.itemprop === 'articleBody') weight += 25;
+  return weight;
+}
+
+function densityCandidate(body) {
+  const stats = textStats(body);
+  const scores = new Map();
+  const add = (el, points) => {
+    if (!el || !CANDIDATE_TAGS.has(el.tag)) return;
+    if (!scores.has(el)) scores.set(el, classWeight(el));
+    scores.set(el, scores.get(el) + points);
+  };
+  for (const p of findElements(body, (e) => PARAGRAPH_TAGS.has(e.tag))) {
+    const { chars, commas } = stats.get(p);
+    if (chars < 25) continue;
+    const points = 1 + commas + Math.min(Math.floor(chars / 100), 3);
+    add(p.parent, points);
+    add(p.parent && p.parent.parent, points / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(stats.get(el)));
+    if (adjusted > bestScore) { best = el; bestScore = adjusted; }
+  }
+  if (!best) return null;
+
+  // Articles split into sibling blocks (text, inline ad, more text) keep the strong siblings
+  const threshold = Math.max(10, bestScore * 0.2);
+  const siblings = best.parent ? best.parent.children.filter((c) => typeof c !== 'string') : [best];
+  const parts = siblings.filter((s) => s === best || (scores.get(s) || 0) >= threshold).map(nodeText);
+  return { text: parts.join('\n'), score: bestScore };
+}
+
+function extractArticle(html, { rule = null } = {}) {
+  if (!html || typeof html !== 'string') return { text: '', strategy: 'none', meta: {} };
+  const tree = parseHtmlTree(html);
+  // Metadata first: removeBoilerplate drops the <script> elements that carry JSON-LD
+  const { articleBody, articleBodySource, ...meta } = extractPageMeta(html, tree);
+  const description = meta.description;
+
+  // A site rule's own removals and body selectors run on the full tree, before the generic cleanup
+  let ruleText = '';
+  if (rule) {
+    rule.remove.forEach((selector) => selectElements(tree, selector).forEach(detachElement));
+    for (const selector of rule.body) {
+      const matches = selectElements(tree, selector);
+      if (!matches.length) continue;
+      // Nested matches would repeat their text
+      ruleText = matches.filter((el) => !matches.some((other) => other !== el && isAncestor(other, el)))
+        .map((el) => nodeText(removeBoilerplate(el)))
+        .join('\n');
+      break;
+    }
+  }
+  const body = removeBoilerplate(findElements(tree, (e) => e.tag === 'body')[0] || tree);
+
+  const strategies = {
+    rule: () => ruleText,
+    'json-ld': () => (articleBodySource === 'json-ld' ? articleBody : ''),
+    microdata: () => (articleBodySource === 'microdata' ? articleBody : ''),
+    density: () => (densityCandidate(body) || {}).text,
+    semantic: () => {
+      const el = findElements(body, (e) => e.attrs.itemprop === 'articleBody')[0]
+        || findElements(body, (e) => e.tag === 'article')[0]
+        || findElements(body, (e) => e.tag === 'main' || e.attrs.role === 'main')[0];
+      return el ? nodeText(el) : '';
+    },
+    description: () => (description.length >= 100 ? description : ''),
+    body: () => nodeText(body)
+  };
+
+  // A matching rule goes first unless it prefers the publisher's JSON-LD body
+  const order = !rule ? STRATEGY_ORDER
+    : rule.prefer === 'json-ld' ? ['json-ld', 'rule', ...STRATEGY_ORDER.slice(1)]
+      : ['rule', ...STRATEGY_ORDER];
+  for (const strategy of order) {
+    const text = strategies[strategy]() || '';
+    const enough = strategy === 'description' ? text.length > 0 : text.length >= MIN_ARTICLE_CHARS;
+    if (enough) {
+      console.log(`[GNS] Extracted ${text.length} chars via ${strategy}`);
+      return { text: text.slice(0, MAX_ARTICLE_CHARS), strategy, meta };
+    }
+  }
+  return { text: '', strategy: 'none', meta };
+}
+
+/**
+ * Per-domain extraction rules (Options → Site Rules), for sites the heuristics get wrong:
+ * { host: 'example.com' | '*.example.com', body: [selectors], remove: [selectors], prefer: '' | 'amp' | 'json-ld' }
+ * A host matches itself and its subdomains. Selectors are CSS (tag, #id, .class, [attr], [attr op value],
+ * descendant and > combinators, comma lists) or XPath (/ and // steps with [@attr], [@attr='v'],
+ * [contains(@attr,'v')] and [starts-with(@attr,'v')] predicates), run on the parseHtmlTree tree.
+ */
+const RULE_PREFERENCES = ['', 'amp', 'json-ld'];
+
+// Normalizes stored or imported rules; invalid rules are reported in errors and left out of rules
+function parseExtractionRules(input) {
+  const rules = [];
+  const errors = [];
+  if (!Array.isArray(input)) return { rules, errors: input == null ? [] : ['Rules must be a JSON array.'] };
+  input.forEach((raw, i) => {
+    const where = `Rule ${i + 1}`;
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${where}: expected an object.`);
+      return;
+    }
+    const host = String(raw.host || '').trim().toLowerCase();
+    if (!/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) {
+      errors.push(`${where}: "host" must be a hostname like example.com or *.example.com.`);
+      return;
+    }
+    const prefer = String(raw.prefer || '').toLowerCase();
+    if (!RULE_PREFERENCES.includes(prefer)) {
+      errors.push(`${where}: "prefer" must be "amp", "json-ld" or empty.`);
+      return;
+    }
+    const rule = { host, body: [], remove: [], prefer };
+    let valid = true;
+    for (const key of ['body', 'remove']) {
+      for (const selector of [].concat(raw[key] || [])) {
+        try {
+          compileSelector(String(selector));
+          rule[key].push(String(selector).trim());
+        } catch (err) {
+          errors.push(`${where} ${key} "${selector}": ${err.message}`);
+          valid = false;
+        }
+      }
+    }
+    if (!valid) return;
+    if (!rule.body.length && !rule.remove.length && !rule.prefer) {
+      errors.push(`${where}: needs "body", "remove" or "prefer".`);
+      return;
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+function findExtractionRule(url, rules) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const { rules: valid } = parseExtractionRules(rules || []);
+  return valid.find((rule) => {
+    const domain = rule.host.replace(/^\*\./, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }) || null;
+}
+
+// Elements under root matching a CSS or XPath selector, in document order
+function selectElements(root, selector) {
+  const alternatives = compileSelector(selector);
+  return findElements(root, (el) => alternatives.some((steps) => matchSteps(el, steps, steps.length - 1)));
+}
+
+/**
+ * Compiles a selector to alternatives, each a list of steps { tag, tests, combinator } matched right
+ * to left; combinator links a step to the previous one (' ' descendant, '>' child). Throws on
+ * syntax outside the supported subset.
+ */
+function compileSelector(selector) {
+  const source = String(selector || '').trim();
+  if (!source) throw new Error('empty selector');
+  return /^\(?\//.test(source) ? [compileXPath(source)] : splitSelectorList(source).map(compileCss);
+}
+
+function splitSelectorList(source) {
+  const parts = [];
+  let depth = 0;
+  let quote = '';
+  let start = 0;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) { if (ch === quote) quote = ''; continue; }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '[' || ch === '(') depth++;
+    else if (ch === ']' || ch === ')') depth--;
+    else if (ch === ',' && depth === 0) { parts.push(source.slice(start, i)); start = i + 1; }
+  }
+  parts.push(source.slice(start));
+  return parts.map((p) => p.trim()).map((p) => { if (!p) throw new Error('empty selector in list'); return p; });
+}
+
+function compileCss(source) {
+  const steps = [];
+  const re = /\s*(>)?\s*([a-zA-Z][\w-]*|\*)?((?:#[\w-]+|\.[\w-]+|\[\s*[\w:-]+\s*(?:[~^$*|]?=\s*(?:"[^"]*"|'[^']*'|[^\]\s]+)\s*)?\])*)/y;
+  let pos = 0;
+  let combinator = '';
+  while (pos < source.length) {
+    re.lastIndex = pos;
+    const m = re.exec(source);
+    if (!m || (!m[2] && !m[3])) throw new Error(`unsupported CSS near "${source.slice(pos).trim()}"`);
+    if (m[1]) combinator = '>';
+    steps.push({ tag: m[2] && m[2] !== '*' ? m[2].toLowerCase() : '', tests: compileCssTests(m[3]), combinator: steps.length ? combinator || ' ' : '' });
+    combinator = '';
+    pos = re.lastIndex;
+  }
+  return steps;
+}
+
+function compileCssTests(source) {
+  const tests = [];
+  const re = /#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/g;
+  let m;
+  while ((m = re.exec(source || '')) !== null) {
+    if (m[1]) tests.push(attrTest('id', '=', m[1]));
+    else if (m[2]) tests.push(attrTest('class', '~=', m[2]));
+    else tests.push(attrTest(m[3].toLowerCase(), m[4] || '', m[5] ?? m[6] ?? m[7]));
+  }
+  return tests;
+}
+
+function attrTest(name, op, value) {
+  return (el) => {
+    const actual = el.attrs[name];
+    if (actual == null) return false;
+    switch (op) {
+      case '': return true;
+      case '=': return actual === value;
+      case '~=': return actual.split(/\s+/).includes(value);
+      case '^=': return !!value && actual.startsWith(value);
+      case '$=': return !!value && actual.endsWith(value);
+      case '*=': return !!value && actual.includes(value);
+      case '|=': return actual === value || actual.startsWith(`${value}-`);
+      default: return false;
+    }
+  };
+}
+
+function compileXPath(source) {
+  const steps = [];
+  const re = /(\/\/?)([a-zA-Z][\w-]*|\*)((?:\[[^\]]*\])*)/y;
+  let pos = 0;
+  // A leading single slash anchors the first step at the document root
+  if (/^\/(?!\/)/.test(source)) steps.push({ root: true, tests: [], combinator: '' });
+  while (pos < source.length) {
+    re.lastIndex = pos;
+    const m = re.exec(source);
+    if (!m) throw new Error(`unsupported XPath near "${source.slice(pos)}"`);
+    const combinator = m[1] === '//' ? ' ' : '>';
+    steps.push({ tag: m[2] !== '*' ? m[2].toLowerCase() : '', tests: compileXPathPredicates(m[3]), combinator: steps.length ? combinator : '' });
+    pos = re.lastIndex;
+  }
+  return steps;
+}
+
+function compileXPathPredicates(source) {
+  const tests = [];
+  const re = /\[\s*(?:@([\w:-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'))?|(contains|starts-with)\(\s*@([\w:-]+)\s*,\s*(?:"([^"]*)"|'([^']*)')\s*\))\s*\]/y;
+  let pos = 0;
+  while (pos < (source || '').length) {
+    re.lastIndex = pos;
+    const m = re.exec(source);
+    if (!m) throw new Error(`unsupported XPath predicate "${source.slice(pos)}"`);
+    if (m[1]) tests.push(attrTest(m[1].toLowerCase(), m[2] != null || m[3] != null ? '=' : '', m[2] ?? m[3]));
+    else tests.push(attrTest(m[5].toLowerCase(), m[4] === 'contains' ? '*=' : '^=', m[6] ?? m[7]));
+    pos = re.lastIndex;
+  }
+  return tests;
+}
+
+function matchSteps(el, steps, i) {
+  const step = steps[i];
+  if (step.root ? el.tag !== '#root' : el.tag === '#root' || (step.tag && el.tag !== step.tag) || !step.tests.every((test) => test(el))) return false;
+  if (i === 0) return true;
+  if (step.combinator === '>') return !!el.parent && matchSteps(el.parent, steps, i - 1);
+  for (let p = el.parent; p; p = p.parent) {
+    if (matchSteps(p, steps, i - 1)) return true;
+  }
+  return false;
+}
+
+/**
+ * Pages that are not the article: bot checks, consent interstitials and paywalls, recognised by
+ * their markers, schema.org isAccessibleForFree: false, or by yielding almost no text.
+ * Returns 'bot-check' | 'consent' | 'paywall' | 'short', or null for a readable article.
+ * Paywall and consent markers only count on short pages: full articles often carry the
+ * paywall script or a cookie banner as well.
+ */
+const BOT_CHECK_MARKERS = /cf-browser-verification|challenge-platform|cf-chl-|<title>\s*(?:just a moment|attention required|access denied|are you a robot)|px-captcha|captcha-delivery\.com|geo\.captcha|verify (?:that )?you are (?:a )?human|unusual traffic from your (?:computer|network)/i;
+const CONSENT_MARKERS = /before you continue to|we value your privacy|(?:accept|reject) all cookies|cookie (?:consent|settings|preferences)|manage (?:your )?(?:privacy|consent)|consent\.(?:google|yahoo)\.com|privacy-mgmt\.com|sp_message_container|Wir (?:benötigen|brauchen) Ihre Zustimmung|nous respectons votre vie privée|Utilizamos cookies/i;
+const PAYWALL_MARKERS = /subscribe (?:now )?to (?:continue|keep) reading|to continue reading,? (?:please )?(?:subscribe|log ?in|sign ?in|register)|this (?:article|content|story) is (?:only )?(?:available )?(?:for|to) (?:subscribers|members)|already a subscriber|you(?:'ve| have) reached (?:your|the) (?:limit|maximum) of free|create a free account to (?:continue|read)|subscriber[- ]only|exclusive to subscribers|réservé aux abonnés|Jetzt (?:weiterlesen|abonnieren)|Artikel (?:ist )?nur für Abonnenten|Solo para suscriptores|class=["'][^"']*\b(?:paywall|regwall|piano-(?:inline|offer)|tp-modal)\b/i;
+// Pages this short with a paywall or consent marker are the wall, not the article
+const WALL_MAX_CHARS = 2500;
+
+function detectAccessWall(html, { text = '', meta = {} } = {}) {
+  const head = (html || '').slice(0, 200000);
+  const length = text.trim().length;
+  if (length < WALL_MAX_CHARS && BOT_CHECK_MARKERS.test(head)) return 'bot-check';
+  if (length < WALL_MAX_CHARS && (CONSENT_MARKERS.test(text) || (length < MIN_ARTICLE_CHARS && CONSENT_MARKERS.test(head)))) return 'consent';
+  if (length < WALL_MAX_CHARS && (meta.isAccessibleForFree === false || PAYWALL_MARKERS.test(text) || (length < MIN_ARTICLE_CHARS * 4 && PAYWALL_MARKERS.test(head)))) return 'paywall';
+  if (length < MIN_ARTICLE_CHARS) return 'short';
+  return null;
+}
+
+// Errors for a wall with no card headline to summarize instead (keys as in detectAccessWall)
+const WALL_ERRORS = {
+  paywall: 'Article behind a paywall',
+  consent: 'Article behind a consent page',
+  'bot-check': 'Article blocked by a bot check',
+  short: 'Could not extract the article text',
+  unavailable: 'Could not load the article',
+  'no-description': 'The publisher page has no description'
+};
+
+// content of <meta attr="name" content="..."> in either attribute order, entity-decoded
+function metaContent(html, attr, name) {
+  const head = (html || '').slice(0, 100000);
+  const re = new RegExp(`<meta[^>]+${attr}=["']${name}["'][^>]*content=["']([^"']+)["']|<meta[^>]+content=["']([^"']+)["'][^>]*${attr}=["']${name}["']`, 'i');
+  const m = head.match(re);
+  return m ? decodeHtml((m[1] || m[2]).trim()) : '';
+}
+
+/**
+ * Structured metadata, read before the text heuristics: schema.org JSON-LD, then microdata, then
+ * Open Graph / Twitter / plain meta tags, each field taken from the first source that has it.
+ * Returns { title, source, author, publishedAt, description, isAccessibleForFree (true | false | null),
+ * articleBody, articleBodySource ('json-ld' | 'microdata' | '') }.
+ */
+const ARTICLE_TYPE = /^(?:\w*Article|BlogPosting|LiveBlogPosting|Report)$/;
+
+function extractPageMeta(html, tree = parseHtmlTree(html)) {
+  const ld = jsonLdArticle(tree);
+  const md = microdataArticle(tree);
+  const head = (html || '').slice(0, 100000);
+  const meta = (attr, name) => metaContent(head, attr, name);
+  const time = head.match(/<time[^>]+datetime=["']([^"']+)["']/i);
+  // article:author is often a profile URL rather than a name
+  const metaAuthor = [meta('name', 'author'), meta('property', 'article:author')].find((a) => a && !/^https?:/i.test(a)) || '';
+  const pick = (...values) => values.find((v) => typeof v === 'string' && v.trim()) || '';
+  const articleBody = pick(ld.articleBody, md.articleBody);
+  return {
+    title: pick(meta('property', 'og:title'), meta('name', 'twitter:title'), ld.headline, md.headline),
+    source: pick(ld.publisher, meta('property', 'og:site_name'), md.publisher, meta('name', 'application-name')),
+    author: pick(ld.author, md.author, metaAuthor),
+    publishedAt: pick(ld.datePublished, md.datePublished, meta('property', 'article:published_time'), meta('name', 'date'), time ? time[1] : ''),
+    description: pick(ld.description, md.description, meta('property', 'og:description'), meta('name', 'twitter:description'), meta('name', 'description')),
+    isAccessibleForFree: ld.isAccessibleForFree ?? md.isAccessibleForFree ?? null,
+    articleBody,
+    articleBodySource: !articleBody ? '' : articleBody === ld.articleBody ? 'json-ld' : 'microdata'
+  };
+}
+
+function jsonLdArticle(tree) {
+  const scripts = findElements(tree, (e) => e.tag === 'script' && /ld\+json/i.test(e.attrs.type || ''));
+  for (const script of scripts) {
+    let data;
+    try {
+      // Some CMSs wrap the JSON in CDATA or HTML comments
+      data = JSON.parse(String(script.children[0] || '').replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)|(?:-->|\/\/\s*\]\]>)\s*$/g, ''));
+    } catch {
+      continue;
+    }
+    const node = findJsonLdArticle(data);
+    if (!node) continue;
+    const text = (v) => (typeof v === 'string' ? decodeHtml(v).trim() : '');
+    return {
+      headline: text(node.headline) || text(node.name),
+      // Some publishers put markup in articleBody
+      articleBody: /<[a-z]/i.test(node.articleBody || '') ? nodeText(parseHtmlTree(node.articleBody)) : text(node.articleBody),
+      author: jsonLdNames(node.author),
+      datePublished: text(node.datePublished),
+      description: text(node.description),
+      publisher: jsonLdNames(node.publisher),
+      isAccessibleForFree: jsonLdAccess(node)
+    };
+  }
+  return {};
+}
+
+// Depth-first search through arrays, @graph and mainEntity for the first article-typed node
+function findJsonLdArticle(data, depth = 0) {
+  if (!data || typeof data !== 'object' || depth > 5) return null;
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const found = findJsonLdArticle(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  const types = [].concat(data['@type'] || []);
+  if (types.some((t) => ARTICLE_TYPE.test(String(t)))) return data;
+  return findJsonLdArticle(data['@graph'], depth + 1) || findJsonLdArticle(data.mainEntity, depth + 1);
+}
+
+// "Jane Doe" / { name } / [{ name }, "John Roe"] -> "Jane Doe, John Roe"
+function jsonLdNames(value) {
+  return [].concat(value || [])
+    .map((v) => (typeof v === 'string' ? v : v && typeof v.name === 'string' ? v.name : ''))
+    .map((name) => decodeHtml(name).trim())
+    .filter((name) => name && !/^https?:/i.test(name))
+    .join(', ');
+}
+
+// isAccessibleForFree on the article, or false on any paywalled part (Google's paywall markup)
+function jsonLdAccess(node) {
+  const flag = (v) => (v === true || /^true$/i.test(v) ? true : v === false || /^false$/i.test(v) ? false : null);
+  const parts = [].concat(node.hasPart || []);
+  if (parts.some((part) => part && flag(part.isAccessibleForFree) === false)) return false;
+  return flag(node.isAccessibleForFree);
+}
+
+function microdataArticle(tree) {
+  const scope = findElements(tree, (e) => e.attrs.itemscope != null && ARTICLE_TYPE.test(String(e.attrs.itemtype || '').split('/').pop()))[0];
+  if (!scope) return {};
+  const props = {};
+  const walk = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') continue;
+      for (const name of String(child.attrs.itemprop || '').split(/\s+/).filter(Boolean)) {
+        if (props[name] != null) continue;
+        // Nested items (author, publisher) are represented by their name
+        const nested = child.attrs.itemscope != null;
+        const nameEl = nested && findElements(child, (e) => /(^|\s)name(\s|$)/.test(e.attrs.itemprop || ''))[0];
+        props[name] = nested ? (nameEl ? microdataValue(nameEl) : '') : microdataValue(child);
+      }
+      if (child.attrs.itemscope == null) walk(child);
+    }
+  };
+  walk(scope);
+  const free = props.isAccessibleForFree;
+  return {
+    headline: props.headline || props.name || '',
+    articleBody: props.articleBody || '',
+    author: props.author || '',
+    datePublished: props.datePublished || '',
+    description: props.description || '',
+    publisher: props.publisher || '',
+    isAccessibleForFree: /^true$/i.test(free || '') ? true : /^false$/i.test(free || '') ? false : null
+  };
+}
+
+function microdataValue(el) {
+  if (el.tag === 'meta') return (el.attrs.content || '').trim();
+  if (el.tag === 'time') return (el.attrs.datetime || nodeText(el)).trim();
+  if (el.tag === 'a' || el.tag === 'link') return (el.attrs.href || '').trim();
+  return nodeText(el);
+}
+
+/**
+ * Error raised by a provider call. `kind` decides whether the fallback chain moves on:
+ * auth | rate_limit | server | timeout | network (fall back) or
+ * config | bad_request | blocked | empty | invalid_output (surface to the user).
+ */
+class ProviderError extends Error {
+  constructor(message, { provider = '', status = 0, kind = '' } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.kind = kind || classifyHttpStatus(status);
+  }
+}
+
+function classifyHttpStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status >= 500) return 'server';
+  return 'bad_request';
+}
+
+// Failure kinds after which the next provider in the fallback chain is tried
+const FALLBACK_KINDS = ['auth', 'rate_limit', 'server', 'timeout', 'network'];
+
+const PROVIDER_LABELS = {
+  openai: 'OpenAI',
+  anthropic: 'Anthropic',
+  gemini: 'Gemini',
+  custom: 'Custom endpoint'
+};
+
+// fetch() for provider APIs with retries; network failures become ProviderError so the fallback chain can react
+async function providerFetch(provider, url, init, job = {}) {
+  try {
+    return await fetchWithRetry(url, init, { job, label: PROVIDER_LABELS[provider] || provider });
+  } catch (err) {
+    if (init && init.signal && init.signal.aborted) throw init.signal.reason || err;
+    if (err && err.name === 'AbortError') throw err;
+    throw new ProviderError(`${PROVIDER_LABELS[provider] || provider} unreachable: ${err && err.message ? err.message : err}`, { provider, kind: 'network' });
+  }
+}
+
+/**
+ * Retry layer shared by provider calls and publisher fetches. Retries network errors,
+ * 408, 429 and 5xx up to job.maxRetries times with jittered exponential backoff, waiting
+ * instead for Retry-After / rate-limit reset headers when the server sends them.
+ * Each wait is announced through job.onStatus so the bubble can show it.
+ */
+const RETRY_BASE_DELAY_MS = 1000;
+// Servers asking for a longer pause than this get their error surfaced instead
+const MAX_RETRY_DELAY_MS = 30000;
+
+async function fetchWithRetry(url, init = {}, { job = {}, label = 'Request' } = {}) {
+  const budget = Number(job.maxRetries);
+  const retries = Math.max(0, Number.isFinite(budget) ? budget : DEFAULT_SETTINGS.maxRetries);
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, init);
+    } catch (err) {
+      throwIfAborted(job);
+      if (attempt >= retries) throw err;
+      const delay = backoffDelay(attempt);
+      reportRetry(job, `${label} unreachable, retrying in ${formatDelay(delay)}…`);
+      await sleep(delay, job);
+      continue;
+    }
+
+    if (!isRetryableStatus(res.status) || attempt >= retries) return res;
+    const hinted = retryDelayFromHeaders(res.headers);
+    if (hinted != null && hinted > MAX_RETRY_DELAY_MS) return res;
+    const delay = hinted != null ? Math.max(hinted, 250) : backoffDelay(attempt);
+    // Release the connection before waiting
+    try { await res.body?.cancel(); } catch {}
+    reportRetry(job, res.status === 429
+      ? `${label} rate limited, retrying in ${formatDelay(delay)}…`
+      : `${label} unavailable (${res.status}), retrying in ${formatDelay(delay)}…`);
+    await sleep(delay, job);
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+// Exponential backoff (1s, 2s, 4s, ...) with jitter between 50% and 100% of the step
+function backoffDelay(attempt) {
+  const step = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+  return Math.round(step * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Milliseconds the server asked us to wait, or null.
+ * Retry-After (seconds or HTTP date) and OpenAI's retry-after-ms win; otherwise the latest of the
+ * rate-limit reset headers: OpenAI durations ("1s", "6m0s", "20ms") and Anthropic RFC 3339 timestamps.
+ */
+function retryDelayFromHeaders(headers) {
+  if (!headers) return null;
+  const retryAfterMs = Number(headers.get('retry-after-ms'));
+  if (headers.get('retry-after-ms') && Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const secs = Number(retryAfter);
+    if (Number.isFinite(secs)) return secs * 1000;
+    const at = Date.parse(retryAfter);
+    if (!Number.isNaN(at)) return Math.max(0, at - Date.now());
+  }
+
+  let latest = null;
+  const consider = (ms) => {
+    if (ms != null && Number.isFinite(ms) && ms >= 0) latest = latest == null ? ms : Math.max(latest, ms);
+  };
+  ['x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens'].forEach(name => consider(parseResetDuration(headers.get(name))));
+  ['anthropic-ratelimit-requests-reset', 'anthropic-ratelimit-tokens-reset', 'anthropic-ratelimit-input-tokens-reset', 'anthropic-ratelimit-output-tokens-reset']
+    .forEach(name => {
+      const at = Date.parse(headers.get(name) || '');
+      if (!Number.isNaN(at)) consider(Math.max(0, at - Date.now()));
+    });
+  return latest;
+}
+
+// "1h2m3.5s" / "6m0s" / "20ms" / "1.5" (seconds) -> milliseconds
+function parseResetDuration(value) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(v)) return Number(v) * 1000;
+  const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  let m;
+  while ((m = re.exec(v)) !== null) {
+    total += Number(m[1]) * units[m[2]];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+function formatDelay(ms) {
+  return `${Math.max(1, Math.round(ms / 1000))}s`;
+}
+
+function reportRetry(job, text) {
+  console.warn('[GNS]', text);
+  if (typeof job.onStatus === 'function') job.onStatus(text);
+}
+
+/**
+ * Readable message for a failed provider call instead of the raw JSON body.
+ * `detail` is the provider's own error message, already extracted from the body.
+ */
+function describeHttpError(name, status, detail) {
+  const short = String(detail || '').replace(/\s+/g, ' ').trim().slice(0, 300);
+  const suffix = short ? `: ${short}` : '';
+  if (status === 401 || status === 403) return `${name} rejected the API key (${status})${suffix}`;
+  if (status === 429) return `${name} rate limit reached (429), even after retrying${suffix}`;
+  if (status >= 500) return `${name} server error (${status})${suffix}`;
+  return `${name} error (${status || 'unknown'})${suffix}`;
+}
+
+// OpenAI-style errors look like { error: { message, type, code } }
+function openAIErrorMessage(errText) {
+  try {
+    const parsed = JSON.parse(errText);
+    const err = parsed && parsed.error;
+    if (err && typeof err === 'object' && err.message) return err.message;
+    if (typeof err === 'string') return err;
+  } catch {/* not JSON */}
+  return errText;
+}
+
+/**
+ * Provider health: providers that recently failed with a fallback-worthy error are skipped
+ * for settings.providerCooldownMinutes. Kept in session storage so it survives the service
+ * worker being suspended, but not a browser restart.
+ */
+const HEALTH_KEY = 'providerHealth';
+
+function healthStorage() {
+  return (chrome.storage && chrome.storage.session) || chrome.storage.local;
+}
+
+async function getProviderHealth() {
+  try {
+    const stored = await healthStorage().get(HEALTH_KEY);
+    return stored[HEALTH_KEY] || {};
+  } catch {
+    return {};
+  }
+}
+
+// Both go through withStoredObject: parallel summaries must not drop each other's cooldowns
+function markProviderFailure(entryKey, err, cooldownMinutes) {
+  return withStoredObject(HEALTH_KEY, (health) => {
+    health[entryKey] = {
+      failedUntil: Date.now() + Math.max(0, Number(cooldownMinutes) || 0) * 60 * 1000,
+      reason: err.kind
+    };
+    return { changed: true };
+  }, healthStorage());
+}
+
+function clearProviderFailure(entryKey) {
+  return withStoredObject(HEALTH_KEY, (health) => {
+    if (!health[entryKey]) return { changed: false };
+    delete health[entryKey];
+    return { changed: true };
+  }, healthStorage());
+}
+
+// Primary provider/model from settings followed by the configured fallback entries (deduplicated)
+function buildProviderChain(settings) {
+  const chain = [];
+  const seen = new Set();
+  const push = (provider, model) => {
+    const p = String(provider || '').toLowerCase().trim();
+    if (!p) return;
+    const m = String(model || '').trim() || DEFAULT_MODELS[p] || '';
+    const key = `${p}:${m}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    chain.push({ provider: p, model: m, key });
+  };
+  push(settings.provider || 'openai', settings.model);
+  for (const entry of Array.isArray(settings.fallbackChain) ? settings.fallbackChain : []) {
+    if (entry) push(entry.provider, entry.model);
+  }
+  return chain;
+}
+
+/**
+ * Summarize with the primary provider, moving down the fallback chain on auth,
+ * rate-limit, 5xx, timeout or network errors. `meta` describes the article (language, url).
+ * Returns { summary, format, chunks, sourceLanguage, targetLanguage, translated, provider, providerLabel, model }.
+ */
+async function summarizeWithFallback(text, settings, job = {}, meta = {}) {
+  const chain = buildProviderChain(settings);
+  const health = await getProviderHealth();
+  const now = Date.now();
+  const healthy = chain.filter(e => !(health[e.key] && health[e.key].failedUntil > now));
+  // If every provider is cooling down, try them all anyway rather than failing outright
+  const candidates = healthy.length ? healthy : chain;
+  if (healthy.length < chain.length) {
+    console.log('[GNS] Skipping providers in cooldown:', chain.filter(e => !healthy.includes(e)).map(e => e.key));
+  }
+
+  let lastErr = null;
+  for (const entry of candidates) {
+    // Once tokens reached the page, a failure can no longer be hidden behind another provider
+    let streamed = false;
+    const entryJob = {
+      ...job,
+      onDelta: job.onDelta && ((t) => { streamed = true; job.onDelta(t); })
+    };
+    try {
+      const { summary, format, chunks, language, prompts } = await summarizeText(text, { ...settings, provider: entry.provider, model: entry.model }, entryJob, meta);
+      await clearProviderFailure(entry.key);
+      return { summary, format, chunks, ...language, provider: entry.provider, providerLabel: PROVIDER_LABELS[entry.provider] || entry.provider, model: entry.model, prompts };
+    } catch (err) {
+      throwIfAborted(job);
+      lastErr = err;
+      if (!(err instanceof ProviderError) || !FALLBACK_KINDS.includes(err.kind) || streamed) throw err;
+      console.warn(`[GNS] Provider ${entry.key} failed (${err.kind}), trying next in chain:`, err.message);
+      await markProviderFailure(entry.key, err, settings.providerCooldownMinutes);
+    }
+  }
+  throw lastErr || new Error('No provider configured');
+}
+
+// Stream only when a listener wants tokens and the user hasn't turned streaming off.
+// Structured output is never streamed: half a JSON object is nothing the bubble can show.
+function wantsStream(settings, job, prompt = {}) {
+  const capable = !(settings.capabilities && settings.capabilities.stream === false);
+  return typeof job.onDelta === 'function' && settings.stream !== false && capable && !prompt.schema;
+}
+
+/**
+ * Minimal Server-Sent Events reader for streamed provider responses.
+ * Calls onEvent(eventName, data) for every event; data lines are joined with newlines.
+ */
+async function readSseStream(res, onEvent) {
+  let eventName = '';
+  let dataLines = [];
+  const dispatch = () => {
+    if (dataLines.length) onEvent(eventName || 'message', dataLines.join('\n'));
+    eventName = '';
+    dataLines = [];
+  };
+  const handleLine = (line) => {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return; // comment / keep-alive
+    const idx = line.indexOf(':');
+    const field = idx === -1 ? line : line.slice(0, idx);
+    const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+  };
+
+  if (!res.body || typeof res.body.getReader !== 'function') {
+    (await res.text()).split(/\r?\n/).forEach(handleLine);
+    dispatch();
+    return;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    buffer += decoder.decode();
+    if (buffer) handleLine(buffer);
+    dispatch();
+  } finally {
+    try { reader.releaseLock(); } catch {}
+  }
+}
+
+function parseJsonOrNull(s) {
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Provider abstraction - sends one { system, user } prompt to OpenAI (Chat Completions / Responses),
+ * Anthropic (Messages), Google Gemini (generateContent) or a user-configured OpenAI-compatible
+ * endpoint and returns the model's raw text answer
+ */
+async function summarizeWithProvider(prompt, settings, job = {}) {
+  const provider = (settings.provider || 'openai').toLowerCase();
+  switch (provider) {
+    case 'openai':
+      return summarizeWithOpenAI(prompt, settings, openAIEndpoint(settings), job);
+    case 'anthropic':
+      return summarizeWithAnthropic(prompt, settings, job);
+    case 'gemini':
+      return summarizeWithGemini(prompt, settings, job);
+    case 'custom':
+      return summarizeWithOpenAI(prompt, settings, customEndpoint(settings), job);
+    default:
+      throw new Error(`Unsupported provider: ${settings.provider}`);
+  }
+}
+
+function buildPrompt(text, settings, meta = {}) {
+  // Length is handled by summarizeText, which chunks anything too big for the model
+  const t = (text || '').replace(/\s+/g, ' ').trim();
+  const format = summaryFormat(settings);
+  const language = languagePlan(settings, meta);
+  const vars = {
+    title: meta.title || '',
+    source: meta.source || '',
+    publishedAt: meta.publishedAt || '',
+    url: meta.url || '',
+    author: meta.author || '',
+    description: meta.description || '',
+    language: language.sourceLanguage ? languageName(language.sourceLanguage) : '',
+    format: format.instruction,
+    translation: language.instruction,
+    text: t
+  };
+
+  // The user's one-line-or-bullets system prompt does not apply to the JSON answer
+  const system = format.schema
+    ? STRUCTURED_SYSTEM_PROMPT
+    : renderTemplate((settings && settings.systemPrompt) || DEFAULT_SETTINGS.systemPrompt, vars);
+
+  const template = (settings && settings.userPromptTemplate) || DEFAULT_USER_TEMPLATE;
+  let user = renderTemplate(template, vars);
+  // Never send a prompt without the article, whatever the template says
+  if (!/\{\{\s*text\s*\}\}/.test(template)) user += `\n---\n${t}\n---`;
+
+  return { system, user, schema: format.schema };
+}
+
+/**
+ * Prompt templates: {{name}} inserts a variable, {{#name}}...{{/name}} keeps its content
+ * only when the variable is non-empty. Unknown names are rejected by validateTemplate.
+ */
+const TEMPLATE_VARIABLES = ['title', 'source', 'author', 'publishedAt', 'url', 'description', 'text', 'language', 'format', 'translation'];
+const TEMPLATE_TAG = /\{\{\s*([#/]?)\s*([A-Za-z]+)\s*\}\}/g;
+
+function renderTemplate(template, vars) {
+  let out = String(template || '');
+  // Innermost sections first, so nested sections resolve correctly
+  const section = /\{\{\s*#\s*([A-Za-z]+)\s*\}\}((?:(?!\{\{\s*#)[\s\S])*?)\{\{\s*\/\s*\1\s*\}\}/;
+  let m;
+  while ((m = out.match(section)) !== null) {
+    out = out.slice(0, m.index) + (vars[m[1]] ? m[2] : '') + out.slice(m.index + m[0].length);
+  }
+  return out.replace(TEMPLATE_TAG, (tag, kind, name) => (kind ? '' : String(vars[name] ?? '')));
+}
+
+// Returns a list of problems (empty when the template is usable)
+function validateTemplate(template, { requireText = false } = {}) {
+  const errors = [];
+  const text = String(template || '');
+  const open = [];
+  let used = false;
+  for (const m of text.matchAll(TEMPLATE_TAG)) {
+    const [, kind, name] = m;
+    if (!TEMPLATE_VARIABLES.includes(name)) {
+      errors.push(`unknown variable {{${name}}} (available: ${TEMPLATE_VARIABLES.join(', ')})`);
+      continue;
+    }
+    if (kind === '#') open.push(name);
+    else if (kind === '/') {
+      const last = open.pop();
+      if (last !== name) errors.push(last ? `{{/${name}}} closes {{#${last}}}` : `{{/${name}}} has no matching {{#${name}}}`);
+    } else if (name === 'text') used = true;
+  }
+  open.forEach(name => errors.push(`{{#${name}}} is never closed with {{/${name}}}`));
+  if (/\{\{|\}\}/.test(text.replace(TEMPLATE_TAG, ''))) errors.push('unbalanced {{ or }}');
+  if (requireText && !used) errors.push('must contain {{text}} (the article)');
+  return errors;
+}
+
+// Rendered by the Options page preview
+const SAMPLE_ARTICLE = {
+  text: 'World leaders met in Geneva on Tuesday to discuss economic cooperation and pledged new measures to stabilize markets.',
+  meta: {
+    title: 'World leaders pledge new measures to stabilize markets',
+    source: 'Example News',
+    author: 'Jane Doe',
+    publishedAt: '2025-01-14T09:30:00Z',
+    description: 'Leaders agreed on joint steps after a week of market turmoil.',
+    url: 'https://example.com/world/leaders-markets',
+    language: 'en'
+  }
+};
+
+/**
+ * Output language. With a target language set, the model summarizes and translates in one call.
+ * The source language comes from the article's markup (<html lang>, Content-Language, og:locale),
+ * a script/stopword guess on the text, or the Google News edition the card was clicked on.
+ */
+
+// Primary subtag in lower case: "de-AT" / "de_AT" -> "de"; anything unusable -> null
+function normalizeLanguage(code) {
+  const m = String(code || '').trim().match(/^([a-z]{2,3})(?:[-_].*)?$/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+function resolveTargetLanguage(settings) {
+  const target = String(settings.targetLanguage || '').trim();
+  if (!target) return null;
+  if (target === 'browser') {
+    try {
+      return normalizeLanguage(chrome.i18n.getUILanguage());
+    } catch {
+      return null;
+    }
+  }
+  return normalizeLanguage(target);
+}
+
+/**
+ * What the prompt should say about language, plus what the bubble shows:
+ * { sourceLanguage, targetLanguage, translated, instruction }.
+ */
+function languagePlan(settings, meta = {}) {
+  const source = normalizeLanguage(meta.language);
+  const target = resolveTargetLanguage(settings);
+  if (!target) return { sourceLanguage: source, targetLanguage: null, translated: false, instruction: '' };
+  const targetName = languageName(target);
+  if (source === target) {
+    return { sourceLanguage: source, targetLanguage: target, translated: false, instruction: `Write the summary in ${targetName}.` };
+  }
+  return {
+    sourceLanguage: source,
+    targetLanguage: target,
+    translated: !!source,
+    instruction: source
+      ? `The article is in ${languageName(source)}. Translate while summarizing: write the summary in ${targetName}.`
+      : `Write the summary in ${targetName}, translating if the article is in another language.`
+  };
+}
+
+function detectHtmlLanguage(html) {
+  if (!html) return null;
+  const head = html.slice(0, 20000);
+  const htmlLang = head.match(/<html\b[^>]*?\blang=["']?([a-zA-Z_-]+)/i);
+  if (htmlLang) return normalizeLanguage(htmlLang[1]);
+  const httpEquiv = head.match(/<meta[^>]+http-equiv=["']content-language["'][^>]*content=["']([^"']+)["']/i);
+  if (httpEquiv) return normalizeLanguage(httpEquiv[1].split(',')[0]);
+  const ogLocale = head.match(/<meta[^>]+property=["']og:locale["'][^>]*content=["']([^"']+)["']/i);
+  if (ogLocale) return normalizeLanguage(ogLocale[1]);
+  return null;
+}
+
+// Non-Latin scripts identify the language (or close enough) on their own
+const SCRIPT_LANGUAGES = [
+  [/[\u3040-\u30ff]/g, 'ja'],
+  [/[\uac00-\ud7af]/g, 'ko'],
+  [/[\u4e00-\u9fff]/g, 'zh'],
+  [/[\u0400-\u04ff]/g, 'ru'],
+  [/[\u0600-\u06ff]/g, 'ar'],
+  [/[\u0590-\u05ff]/g, 'he'],
+  [/[\u0370-\u03ff]/g, 'el'],
+  [/[\u0900-\u097f]/g, 'hi'],
+  [/[\u0e00-\u0e7f]/g, 'th']
+];
+
+// Frequent short words per Latin-script language
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'with', 'was', 'on', 'are'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'del', 'las', 'por', 'una', 'para'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'den', 'ein', 'eine', 'auch', 'sich'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'dans', 'pour', 'que', 'qui', 'pas'],
+  it: ['il', 'di', 'che', 'la', 'e', 'per', 'non', 'una', 'sono', 'della', 'con', 'gli'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'não', 'uma'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'voor', 'met', 'zijn']
+};
+
+// Best-effort guess from the text itself; null when there is too little to go on
+function detectTextLanguage(text) {
+  const sample = String(text || '').slice(0, 4000);
+  if (sample.length < 20) return null;
+
+  // Japanese mixes kana with kanji, so kana must be checked before Han
+  for (const [re, code] of SCRIPT_LANGUAGES) {
+    const hits = (sample.match(re) || []).length;
+    if (hits >= 5 || hits > sample.length * 0.2) {
+      if (code === 'ru' && /[іїєґ]/i.test(sample)) return 'uk';
+      return code;
+    }
+  }
+
+  const words = sample.toLowerCase().match(/[a-zà-ÿ]+/g) || [];
+  if (words.length < 8) return null;
+  const counts = {};
+  for (const [code, list] of Object.entries(STOPWORDS)) {
+    const set = new Set(list);
+    counts[code] = words.reduce((n, w) => n + (set.has(w) ? 1 : 0), 0);
+  }
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  // Require a clear winner: many languages share "de", "la", "e" ...
+  if (best[1] < 3 || best[1] < second[1] * 1.3) return null;
+  return best[0];
+}
+
+/**
+ * Model capabilities: which OpenAI API a model needs, whether it may stream, whether it accepts
+ * a JSON schema, and its context window. The Options page fills the cache from each provider's
+ * models endpoint; summarize calls read it, and record what a provider rejected so the failed
+ * request is not repeated on every summary. Models endpoints report at most a context window
+ * (OpenAI's reports none), so everything else starts out inferred from the model name.
+ */
+const CAPABILITIES_KEY = 'modelCapabilities';
+
+// What is assumed for a model nobody has told us about
+const BASE_CAPABILITIES = { api: 'chat', stream: true, jsonSchema: true, contextWindow: 8192 };
+
+// Known defaults by model-name prefix (first match wins); discovery and learning override them
+const MODEL_CATALOG = [
+  ['gpt-5', { api: 'responses', contextWindow: 400000 }],
+  ['gpt-4.1', { contextWindow: 1000000 }],
+  ['gpt-4o', { contextWindow: 128000 }],
+  ['gpt-4-turbo', { contextWindow: 128000, jsonSchema: false }],
+  ['gpt-4', { contextWindow: 8192, jsonSchema: false }],
+  ['gpt-3.5', { contextWindow: 16385, jsonSchema: false }],
+  ['o1', { contextWindow: 200000 }],
+  ['o3', { contextWindow: 200000 }],
+  ['o4', { contextWindow: 200000 }],
+  ['claude', { contextWindow: 200000 }],
+  ['gemini-1.5', { contextWindow: 1000000 }],
+  ['gemini-2', { contextWindow: 1000000 }],
+  ['gemini', { contextWindow: 32000 }]
+];
+
+function normalizeModelId(provider, model) {
+  return String(model || DEFAULT_MODELS[provider] || '').trim().replace(/^models\//, '');
+}
+
+function catalogCapabilities(provider, model) {
+  const id = normalizeModelId(provider, model).toLowerCase();
+  const hit = MODEL_CATALOG.find(([prefix]) => id.startsWith(prefix));
+  return { ...BASE_CAPABILITIES, ...(hit ? hit[1] : {}) };
+}
+
+async function readCapabilityCache() {
+  try {
+    const stored = await chrome.storage.local.get(CAPABILITIES_KEY);
+    return stored[CAPABILITIES_KEY] || {};
+  } catch {
+    return {};
+  }
+}
+
+// Catalog defaults overlaid with whatever discovery or earlier failures recorded; source says which
+async function getModelCapabilities(settings) {
+  const provider = settings.provider || 'openai';
+  const model = normalizeModelId(provider, settings.model);
+  const cache = await readCapabilityCache();
+  const { source = 'inferred', updatedAt, ...known } = cache[`${provider}:${model}`] || {};
+  return { ...catalogCapabilities(provider, model), ...known, source };
+}
+
+// source: 'inferred' (model name only), 'discovered' (the models endpoint reported a context window)
+// or 'learned' (a request was rejected). Writes go through
+// withStoredObject so parallel summaries learning different things keep each other's entries.
+function rememberModelCapabilities(provider, model, caps, source) {
+  const key = `${provider}:${normalizeModelId(provider, model)}`;
+  return withStoredObject(CAPABILITIES_KEY, (cache) => {
+    cache[key] = { ...(cache[key] || {}), ...caps, source, updatedAt: Date.now() };
+    return { changed: true };
+  });
+}
+
+function rememberModelList(provider, models) {
+  const now = Date.now();
+  return withStoredObject(CAPABILITIES_KEY, (cache) => {
+    models.forEach(m => {
+      const key = `${provider}:${m.id}`;
+      // Keep what was learned from real requests; the models endpoint knows less about them
+      const learned = cache[key] && cache[key].source === 'learned' ? cache[key] : {};
+      cache[key] = { ...m.capabilities, ...learned, source: learned.source || m.source, updatedAt: now };
+    });
+    return { changed: true };
+  });
+}
+
+// Rejections that mean "this model cannot stream here" (e.g. OpenAI's organization verification)
+function isStreamRejection(status, errText) {
+  return status === 400 && /\bstream/i.test(errText) && /(verif|not supported|unsupported)/i.test(errText);
+}
+
+// OpenAI model list entries that are not text-generation models
+const NON_CHAT_MODEL = /(embedding|whisper|tts|dall-e|moderation|davinci|babbage|audio|realtime|transcribe|image|search|sora)/i;
+
+/**
+ * Models offered by the provider in settings, as [{ id, label, capabilities, source }] sorted by id,
+ * where source is 'discovered' when the endpoint reported the context window and 'inferred' otherwise.
+ * The result is also written to the capability cache.
+ */
+async function listProviderModels(settings) {
+  const provider = (settings.provider || 'openai').toLowerCase();
+  let models;
+  switch (provider) {
+    case 'openai':
+    case 'custom': {
+      const endpoint = provider === 'openai' ? openAIEndpoint(settings) : customEndpoint(settings);
+      const key = (endpoint.apiKey || '').trim();
+      if (!key && endpoint.requireKey) {
+        throw new ProviderError(`${endpoint.name} API key not set. Configure it in the extension Options.`, { provider, kind: 'auth' });
+      }
+      const data = await fetchModelList(provider, `${endpoint.baseUrl}/models`, { headers: buildAuthHeaders(key) }, openAIErrorMessage);
+      models = (Array.isArray(data?.data) ? data.data : [])
+        .filter(m => m && typeof m.id === 'string' && (provider === 'custom' || !NON_CHAT_MODEL.test(m.id)))
+        .map(m => {
+          // vLLM, llama.cpp and LM Studio report the context size under different names
+          const context = m.max_model_len || m.context_length || m.context_window || (m.meta && m.meta.n_ctx_train);
+          const caps = catalogCapabilities(provider, m.id);
+          return context
+            ? { id: m.id, label: m.id, capabilities: { ...caps, contextWindow: Number(context) }, source: 'discovered' }
+            : { id: m.id, label: m.id, capabilities: caps, source: 'inferred' };
+        });
+      break;
+    }
+    case 'anthropic': {
+      const key = (settings.anthropicApiKey || '').trim();
+      if (!key) throw new ProviderError('Anthropic API key not set. Configure it in the extension Options.', { provider, kind: 'auth' });
+      validateHeaderByteString('x-api-key', key);
+      const data = await fetchModelList(provider, 'https://api.anthropic.com/v1/models?limit=1000', {
+        headers: {
+          'x-api-key': key,
+          'anthropic-version': ANTHROPIC_API_VERSION,
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      }, anthropicErrorMessage);
+      models = (Array.isArray(data?.data) ? data.data : [])
+        .filter(m => m && typeof m.id === 'string')
+        .map(m => {
+          const caps = catalogCapabilities(provider, m.id);
+          if (m.max_input_tokens) caps.contextWindow = Number(m.max_input_tokens);
+          return { id: m.id, label: m.display_name || m.id, capabilities: caps, source: m.max_input_tokens ? 'discovered' : 'inferred' };
+        });
+      break;
+    }
+    case 'gemini': {
+      const key = (settings.geminiApiKey || '').trim();
+      if (!key) throw new ProviderError('Gemini API key not set. Configure it in the extension Options.', { provider, kind: 'auth' });
+      validateHeaderByteString('x-goog-api-key', key);
+      const data = await fetchModelList(provider, 'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000', {
+        headers: { 'x-goog-api-key': key }
+      }, geminiErrorMessage);
+      models = (Array.isArray(data?.models) ? data.models : [])
+        .filter(m => m && typeof m.name === 'string' && (m.supportedGenerationMethods || []).includes('generateContent'))
+        .map(m => {
+          const id = m.name.replace(/^models\//, '');
+          const caps = catalogCapabilities(provider, id);
+          if (m.inputTokenLimit) caps.contextWindow = Number(m.inputTokenLimit);
+          return { id, label: m.displayName || id, capabilities: caps, source: m.inputTokenLimit ? 'discovered' : 'inferred' };
+        });
+      break;
+    }
+    default:
+      throw new Error(`Unsupported provider: ${settings.provider}`);
+  }
+  models.sort((a, b) => a.id.localeCompare(b.id));
+  await rememberModelList(provider, models);
+  console.log(`[GNS] Discovered ${models.length} models for ${provider}`);
+  return models;
+}
+
+async function fetchModelList(provider, url, init, describeError) {
+  const res = await providerFetch(provider, url, { method: 'GET', ...init });
+  if (!res.ok) {
+    const errText = await safeText(res);
+    throw new ProviderError(describeHttpError(PROVIDER_LABELS[provider] || provider, res.status, describeError(errText)), { provider, status: res.status });
+  }
+  return await res.json();
+}
+
+/**
+ * Long articles: map-reduce instead of truncation.
+ * Text that does not fit the model's context window is split on sentence boundaries,
+ * each part is condensed into a few sentences (map), and the partial summaries are then
+ * summarized with the user's prompt (reduce). Only the final call streams into the bubble.
+ */
+
+// Room kept free for the system prompt, instructions and the model's answer
+const PROMPT_RESERVE_TOKENS = 2048;
+// Rough chars-per-token ratios, erring on the small side for safety: English-like text runs about
+// 3.5, other alphabets (Cyrillic, Greek, Arabic, accented Latin) about 2, and Chinese, Japanese
+// and Korean about 1, so a Japanese article takes roughly three times the tokens of its length / 3.5
+const CHARS_PER_TOKEN = 3.5;
+const NON_ASCII_CHARS_PER_TOKEN = 2;
+const CJK_CHARS_PER_TOKEN = 1;
+const CJK_CHARS = /[\u1100-\u11ff\u2e80-\u9fff\ua960-\ua97f\uac00-\ud7ff\uf900-\ufaff\uff00-\uffef]/g;
+const NON_ASCII_CHARS = /[^\u0000-\u007f]/g;
+// Upper bound on map calls for one article; longer text is cut after this many parts
+const MAX_CHUNKS = 12;
+
+function estimateTokens(text) {
+  const s = text || '';
+  const countOf = (re) => s.length - s.replace(re, '').length;
+  const cjk = countOf(CJK_CHARS);
+  const otherNonAscii = countOf(NON_ASCII_CHARS) - cjk;
+  const ascii = s.length - cjk - otherNonAscii;
+  return Math.ceil(ascii / CHARS_PER_TOKEN + otherNonAscii / NON_ASCII_CHARS_PER_TOKEN + cjk / CJK_CHARS_PER_TOKEN);
 }
 
-// Heuristics to decide if a URL is likely the external article (not an asset/tracker)
-function isDisallowedHost(hostname) {
-  return /(news\.google\.com|google\.[^\/]+|gstatic\.com|googleusercontent\.com|googleapis\.com|doubleclick\.net|googletagmanager\.com|google-analytics\.com|scorecardresearch\.com|adservice\.google\.com|youtube\.com|twitter\.com|facebook\.com|t\.co|cdn\.ampproject\.org|w3\.org|schema\.org|ogp\.me|opengraphprotocol\.org)/i.test(
-    hostname
-  );
+// Largest slice of article text (in chars) one request can carry for this model, at the text's own
+// chars-per-token ratio (its script mix)
+function chunkCharBudget(settings, text = '') {
+  const caps = settings.capabilities || catalogCapabilities(settings.provider, settings.model);
+  const usable = Math.max(1024, caps.contextWindow - PROMPT_RESERVE_TOKENS - estimateTokens(settings.systemPrompt));
+  const ratio = text ? text.length / Math.max(1, estimateTokens(text)) : CHARS_PER_TOKEN;
+  return Math.floor(usable * ratio);
 }
 
-function isLikelyArticleUrl(href) {
-  try {
-    const u = new URL(href);
-    if (isDisallowedHost(u.hostname)) return false;
-    const path = u.pathname || '';
-    
-    // Exclude common asset extensions
-    if (/\.(js|css|png|jpe?g|gif|webp|svg|ico|json|xml|woff2?|ttf|eot)(\?|$)/i.test(path)) return false;
-    
-    // Look for common article patterns
-    const articlePatterns = [
-      /\/\d{4}\/\d{2}\/\d{2}\//, // Date patterns like /2025/08/14/
-      /\/article\//, // /article/ in path
-      /\/story\//, // /story/ in path
-      /\/news\//, // /news/ in path
-      /\/post\//, // /post/ in path
-      /\/blog\//, // /blog/ in path
-      /\/[a-z]{2,}\/\d{4}\//, // Short word followed by year
-      /\/[a-z]{2,}\/[a-z]{2,}\//, // Two or more word segments
-    ];
-    
-    // If any article pattern matches, it's likely an article
-    for (const pattern of articlePatterns) {
-      if (pattern.test(path)) {
-        return true;
-      }
+// Greedy split on sentence boundaries (including 。！？); a single over-long sentence is hard-split
+function splitIntoChunks(text, maxChars) {
+  const sentences = text.match(/[^.!?。！？]+(?:[.!?。！？]+["'”’)\]」』]*\s*|$)/g) || [text];
+  const chunks = [];
+  let current = '';
+  for (let sentence of sentences) {
+    while (sentence.length > maxChars) {
+      if (current) { chunks.push(current.trim()); current = ''; }
+      chunks.push(sentence.slice(0, maxChars).trim());
+      sentence = sentence.slice(maxChars);
     }
-    
-    // Require some path depth and alphanumeric content, but be less restrictive
-    return path.length > 5 && /[a-zA-Z]/.test(path);
-  } catch {
-    return false;
+    if (current.length + sentence.length > maxChars) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += sentence;
   }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks.filter(Boolean);
 }
 
-function htmlToText(html) {
-  if (!html) return '';
-  // Remove script/style blocks
-  html = html.replace(/<script[\s\S]*?<\/script>/gi, ' ');
-  html = html.replace(/<style[\s\S]*?<\/style>/gi, ' ');
-  // Replace common block closers with newlines to retain structure
-  html = html.replace(/<\/(p|div|h[1-6]|li|ul|ol|section|article|header|footer|br)\s*>/gi, '\n');
-  // Strip all remaining tags
-  html = html.replace(/<[^>]+>/g, ' ');
-  // Decode a few common HTML entities
-  const entities = {
-    '&nbsp;': ' ',
-    '&': '&',
-    '<': '<',
-    '>': '>',
-    '"': '"',
-    '&#39;': "'",
-    "'": "'"
+function buildChunkPrompt(chunk, index, total) {
+  return {
+    system: 'You are a news summarizer condensing one part of a longer article.\n- Write 3 to 5 factual sentences.\n- Keep names, numbers, dates and quotes that matter.\n- No emojis, no markdown, no commentary.',
+    user: `This is part ${index + 1} of ${total} of a news article. Summarize it:\n---\n${chunk}\n---`
   };
-  html = html.replace(/(&nbsp;|&|<|>|"|&#39;|')/g, m => entities[m] || m);
-  // Collapse whitespace
-  html = html.replace(/\s+/g, ' ').trim();
-  // Limit length
-  const MAX_CHARS = 20000;
-  if (html.length > MAX_CHARS) html = html.slice(0, MAX_CHARS);
-  return html;
+}
+
+// The reduce step reads the partial summaries as if they were the article
+function buildCombinePrompt(partials, settings, meta) {
+  const joined = partials.map((p, i) => `Part ${i + 1}: ${p}`).join('\n');
+  return buildPrompt(`Summaries of consecutive parts of one article:\n${joined}`, settings, meta);
 }
 
 /**
- * Attempt to extract the main article text using a DOM-based heuristic.
- * If DOMParser is unavailable (e.g., some service worker contexts), returns ''.
+ * Summarize text of any length with one provider/model. Returns { summary, format, chunks, language },
+ * where chunks is 1 when the article fit into a single request and language comes from languagePlan.
  */
-function extractMainText(html) {
-  try {
-    if (typeof DOMParser === 'undefined') return '';
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    if (!doc) return '';
-
-    // Remove obvious non-content
-    doc.querySelectorAll('script,noscript,style,svg,canvas,iframe,form,header,footer,nav').forEach(n => n.remove());
-
-    // Collect candidates with preference
-    const candidates = [];
-    const push = (el) => { if (el && !candidates.includes(el)) candidates.push(el); };
-
-    push(doc.querySelector('article'));
-    push(doc.querySelector('main'));
-    doc.querySelectorAll('[role="main"]').forEach(push);
-
-    const hints = [
-      '.article-body', '.articleBody', '.post-content', '.entry-content',
-      '.story-body', '.content__article-body', '.c-article-content',
-      '#content', '#main', '.content', '.story', '.StoryBodyCompanionColumn'
-    ];
-    hints.forEach(sel => doc.querySelectorAll(sel).forEach(push));
-
-    // Scoring function: prioritize non-link text and paragraph count
-    const score = (el) => {
-      const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
-      const len = text.length;
-      if (len < 200) return 0; // too small
-      const linkLen = Array.from(el.querySelectorAll('a')).reduce((s, a) => s + ((a.innerText || '').length), 0);
-      const pCount = el.querySelectorAll('p').length;
-      return (len - linkLen) + pCount * 50;
-    };
+async function summarizeText(text, settings, job = {}, meta = {}) {
+  settings = { ...settings, capabilities: await getModelCapabilities(settings) };
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  const budget = chunkCharBudget(settings, clean);
+  const { instruction, ...language } = languagePlan(settings, meta);
+  // Every prompt as sent, for the bubble's source inspector
+  const prompts = [];
+  const send = (prompt, callJob) => {
+    prompts.push({ system: prompt.system, user: prompt.user });
+    return summarizeWithProvider(prompt, settings, callJob);
+  };
+  if (clean.length <= budget) {
+    const summary = await send(buildPrompt(clean, settings, meta), job);
+    return { summary: summaryFormat(settings).finish(summary, settings), format: summaryFormat(settings).id, chunks: 1, language, prompts };
+  }
+
+  let chunks = splitIntoChunks(clean, budget);
+  if (chunks.length > MAX_CHUNKS) {
+    console.warn(`[GNS] Article needs ${chunks.length} parts; summarizing the first ${MAX_CHUNKS}`);
+    chunks = chunks.slice(0, MAX_CHUNKS);
+  }
+  console.log(`[GNS] Article too long for ${settings.model} (${clean.length} chars, budget ${budget}); summarizing in ${chunks.length} parts`);
 
-    let best = null;
-    let bestScore = 0;
+  // Map calls never stream; the bubble only shows progress until the final summary starts
+  const mapJob = { ...job, onDelta: null };
+  const partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    throwIfAborted(job);
+    if (typeof job.onStatus === 'function') job.onStatus(`Long article: summarizing part ${i + 1} of ${chunks.length}…`);
+    partials.push(await send(buildChunkPrompt(chunks[i], i, chunks.length), mapJob));
+  }
 
-    // Score preferred candidates first
-    candidates.forEach(el => {
-      const s = score(el);
-      if (s > bestScore) { best = el; bestScore = s; }
-    });
+  if (typeof job.onStatus === 'function') job.onStatus('Combining partial summaries…');
+  const summary = await send(buildCombinePrompt(partials, settings, meta), job);
+  return { summary: summaryFormat(settings).finish(summary, settings), format: summaryFormat(settings).id, chunks: chunks.length, language, prompts };
+}
 
-    // If nothing strong found, scan broader set
-    if (!best) {
-      const blocks = Array.from(doc.querySelectorAll('article,main,section,div'));
-      for (const el of blocks) {
-        const s = score(el);
-        if (s > bestScore) { best = el; bestScore = s; }
+/**
+ * Structured output: with the 'structured' summary format the final call asks for a JSON object
+ * matching SUMMARY_SCHEMA, using each provider's native mechanism (OpenAI json_schema
+ * response format, an Anthropic tool call, Gemini responseSchema). The answer is checked
+ * against the schema and returned as an object instead of a one-line string.
+ */
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+const ENTITY_TYPES = ['person', 'organization', 'location', 'event', 'other'];
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    headline: { type: 'string', description: 'Neutral headline, max 12 words' },
+    summary: { type: 'string', description: 'One or two sentences, max 60 words' },
+    keyPoints: { type: 'array', items: { type: 'string' }, description: '2 to 5 short key facts; list items if the article is a list' },
+    entities: {
+      type: 'array',
+      description: 'Main people, organizations and places mentioned',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', enum: ENTITY_TYPES }
+        },
+        required: ['name', 'type'],
+        additionalProperties: false
       }
-    }
+    },
+    sentiment: { type: 'string', enum: SENTIMENTS, description: 'Overall tone of the article' }
+  },
+  required: ['headline', 'summary', 'keyPoints', 'entities', 'sentiment'],
+  additionalProperties: false
+};
 
-    if (!best) return '';
+const STRUCTURED_SYSTEM_PROMPT = `You are a news summarizer.
+- Answer with a single JSON object with the fields headline, summary, keyPoints, entities and sentiment.
+- headline: neutral, max 12 words. summary: one or two sentences, max 60 words.
+- keyPoints: 2 to 5 short facts; if the article is a list (books, games, ...), use the list items.
+- entities: main people, organizations and places as { "name", "type" } with type one of ${ENTITY_TYPES.join(', ')}.
+- sentiment: one of ${SENTIMENTS.join(', ')}.
+- Be factual and neutral. No markdown, no text outside the JSON.`;
 
-    // Clean secondary clutter within best
-    best.querySelectorAll('aside,button,figure,figcaption,ul.share,div.share,div.ad,div.ads,div[class*="ad-"],div[id*="ad-"]').forEach(n => n.remove());
+function parseStructuredSummary(raw, settings) {
+  const provider = settings.provider || 'openai';
+  const label = PROVIDER_LABELS[provider] || provider;
+  // Models without schema enforcement sometimes wrap the JSON in a code fence
+  const text = String(raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  const value = start !== -1 && end > start ? parseJsonOrNull(text.slice(start, end + 1)) : null;
+  if (!value) {
+    console.error('[GNS] Structured summary is not JSON:', raw);
+    throw new ProviderError(`${label} did not return a JSON summary`, { provider, kind: 'invalid_output' });
+  }
+  const errors = validateStructuredSummary(value);
+  if (errors.length) {
+    console.error('[GNS] Structured summary does not match the schema:', errors, value);
+    throw new ProviderError(`${label} returned an invalid summary (${errors[0]})`, { provider, kind: 'invalid_output' });
+  }
+  return {
+    headline: value.headline.trim(),
+    summary: value.summary.trim(),
+    keyPoints: value.keyPoints.map(p => p.trim()).filter(Boolean),
+    entities: value.entities.map(en => ({ name: en.name.trim(), type: en.type })).filter(en => en.name),
+    sentiment: value.sentiment
+  };
+}
 
-    const output = (best.innerText || best.textContent || '').replace(/\s+/g, ' ').trim();
-    const MAX = 30000;
-    return output.slice(0, MAX);
-  } catch (e) {
-    console.warn('[GNS] extractMainText failed, falling back to htmlToText:', e && e.message ? e.message : e);
-    return '';
+// Checks a parsed answer against SUMMARY_SCHEMA; returns a list of problems (empty when valid)
+function validateStructuredSummary(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return ['answer is not an object'];
+  for (const field of ['headline', 'summary']) {
+    if (typeof value[field] !== 'string' || !value[field].trim()) errors.push(`${field} must be a non-empty string`);
   }
+  if (!Array.isArray(value.keyPoints) || value.keyPoints.some(p => typeof p !== 'string')) {
+    errors.push('keyPoints must be a list of strings');
+  }
+  if (!Array.isArray(value.entities)) {
+    errors.push('entities must be a list');
+  } else if (value.entities.some(en => !en || typeof en.name !== 'string' || !ENTITY_TYPES.includes(en.type))) {
+    errors.push(`entities need a name and a type (${ENTITY_TYPES.join(', ')})`);
+  }
+  if (!SENTIMENTS.includes(value.sentiment)) errors.push(`sentiment must be one of ${SENTIMENTS.join(', ')}`);
+  return errors;
 }
 
 /**
- * Provider abstraction - initial implementation for OpenAI Chat Completions
+ * Summary formats. Each one sets the instruction appended to "Summarize the following content"
+ * and post-processes the answer. Every format except one-liner keeps its line breaks; the
+ * bubble renders them with white-space: pre-line.
  */
-async function summarizeWithProvider(text, settings) {
-  const provider = (settings.provider || 'openai').toLowerCase();
-  switch (provider) {
-    case 'openai':
-      return summarizeWithOpenAI(text, settings);
-    default:
-      throw new Error(`Unsupported provider: ${settings.provider}`);
+const SUMMARY_FORMATS = {
+  oneline: {
+    label: 'One line',
+    instruction: 'into ONE single-line sentence (max 25 words)',
+    finish: (raw) => sanitizeOneLine(raw)
+  },
+  paragraph: {
+    label: 'Paragraph',
+    instruction: 'into one paragraph of 3 to 5 sentences (max 100 words)',
+    finish: (raw) => capLength(raw.replace(/\s+/g, ' ').trim(), 900)
+  },
+  bullets: {
+    label: 'Bullet list',
+    instruction: 'into 3 to 5 bullet points, one per line, each starting with "- " (max 20 words each)',
+    finish: (raw) => formatBulletLines(normalizeLines(raw), 8)
+  },
+  tldr: {
+    label: 'TL;DR + details',
+    instruction: 'as one line starting with "TL;DR:" (max 25 words), then a blank line, then 2 to 4 detail bullet points, one per line, each starting with "- "',
+    finish: (raw) => formatTldr(raw)
+  },
+  structured: {
+    label: 'Structured',
+    instruction: 'as JSON',
+    schema: SUMMARY_SCHEMA,
+    finish: (raw, settings) => parseStructuredSummary(raw, settings)
+  }
+};
+Object.entries(SUMMARY_FORMATS).forEach(([id, format]) => { format.id = id; });
+
+function summaryFormat(settings) {
+  return SUMMARY_FORMATS[settings && settings.summaryFormat] || SUMMARY_FORMATS.oneline;
+}
+
+// Trimmed lines without markdown emphasis; keeps single blank lines between blocks
+function normalizeLines(raw) {
+  return String(raw || '')
+    .replace(/\*\*|__/g, '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// "- x", "* x", "1. x" and "• x" all become "• x"; at most maxItems bullet lines are kept
+function formatBulletLines(text, maxItems) {
+  let count = 0;
+  return text.split('\n')
+    .map(line => {
+      const m = line.match(/^(?:[-*•–]|\d+[.)])\s+(.*)$/);
+      return m ? `• ${m[1]}` : line;
+    })
+    .filter(line => !line.startsWith('• ') || ++count <= maxItems)
+    .join('\n')
+    .trim();
+}
+
+function formatTldr(raw) {
+  const text = normalizeLines(raw);
+  const [first, ...rest] = text.split('\n');
+  const headline = /^tl;?dr:?/i.test(first) ? first.replace(/^tl;?dr:?\s*/i, 'TL;DR: ') : `TL;DR: ${first}`;
+  const details = formatBulletLines(rest.join('\n').trim(), 6);
+  return details ? `${capLength(headline, 250)}\n\n${details}` : capLength(headline, 250);
+}
+
+function capLength(s, max) {
+  return s.length > max ? s.slice(0, max).trim() + '…' : s;
+}
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case type names, no additionalProperties
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === 'additionalProperties') continue;
+    if (k === 'type' && typeof v === 'string') out.type = v.toUpperCase();
+    else if (k === 'properties') out.properties = Object.fromEntries(Object.entries(v).map(([name, s]) => [name, toGeminiSchema(s)]));
+    else out[k] = toGeminiSchema(v);
   }
+  return out;
 }
 
-function buildPrompt(text, settings) {
-  // Trim and cap length (to keep latency/cost low)
-  const MAX_CHARS = 8000;
-  const t = (text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_CHARS);
+// Connection details for the official OpenAI API
+function openAIEndpoint(settings) {
+  return {
+    id: 'openai',
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: settings.apiKey,
+    requireKey: true,
+    // 'auto' picks Chat Completions or Responses based on the model name
+    dialect: 'auto'
+  };
+}
 
-  const system = settings && settings.systemPrompt
-    ? settings.systemPrompt
-    : `You are a news summarizer.\n- Return exactly one concise sentence (max 25 words).\n- No emojis, no quotes, no markdown.\n- Be factual and neutral.`;
+// Connection details for a user-configured OpenAI-compatible server (Ollama, LM Studio, vLLM, LiteLLM, ...)
+function customEndpoint(settings) {
+  const baseUrl = normalizeBaseUrl(settings.customBaseUrl);
+  if (!baseUrl) {
+    throw new ProviderError('Custom endpoint base URL not set or invalid. Configure it in the extension Options (e.g. http://localhost:11434/v1).', { provider: 'custom', kind: 'config' });
+  }
+  return {
+    id: 'custom',
+    name: 'Custom endpoint',
+    baseUrl,
+    apiKey: settings.customApiKey,
+    // Local servers usually run without auth
+    requireKey: false,
+    dialect: settings.customApiStyle === 'responses' ? 'responses' : 'chat'
+  };
+}
 
-  const user = `Summarize the following content into ONE single-line sentence (max 25 words):\n---\n${t}\n---`;
+function normalizeBaseUrl(raw) {
+  const value = (raw || '').trim();
+  if (!value) return '';
+  try {
+    const u = new URL(value);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return '';
+    return u.href.replace(/\/+$/, '');
+  } catch {
+    return '';
+  }
+}
 
-  return { system, user };
+// JSON headers plus Bearer auth when a key is configured
+function buildAuthHeaders(key) {
+  const headers = { 'Content-Type': 'application/json' };
+  validateHeaderByteString('Content-Type', headers['Content-Type']);
+  if (key) {
+    validateHeaderByteString('Authorization', `Bearer ${key}`);
+    headers['Authorization'] = `Bearer ${key}`;
+  }
+  return headers;
 }
 
-async function summarizeWithOpenAI(text, settings) {
-  const { apiKey, model } = settings;
-  if (!apiKey) {
-    console.error('[GNS] No API key set in settings:', { ...settings, apiKey: settings.apiKey ? '[set]' : '' });
-    throw new Error('OpenAI API key not set. Configure it in the extension Options.');
+async function summarizeWithOpenAI(prompt, settings, endpoint = openAIEndpoint(settings), job = {}) {
+  const { model } = settings;
+  const key = (endpoint.apiKey || '').trim();
+  if (!key && endpoint.requireKey) {
+    console.error('[GNS] No API key set in settings:', redactSettings(settings));
+    throw new ProviderError(`${endpoint.name} API key not set. Configure it in the extension Options.`, { provider: endpoint.id, kind: 'auth' });
+  }
+  if (!model && endpoint.dialect !== 'auto') {
+    throw new ProviderError(`${endpoint.name}: model not set. Configure it in the extension Options.`, { provider: endpoint.id, kind: 'config' });
   }
 
-  const { system, user } = buildPrompt(text, settings);
-  // If using a GPT-5 family model, use the Responses API directly (chat max_tokens is unsupported)
-  const modelName = (settings.model || '').toLowerCase();
-  if (modelName.startsWith('gpt-5')) {
-    return await summarizeWithOpenAIResponses(system, user, settings);
+  const { system, user } = prompt;
+  // The custom endpoint's dialect is the user's choice; for OpenAI the model's capabilities decide
+  const caps = settings.capabilities || catalogCapabilities(endpoint.id, model);
+  const api = endpoint.dialect === 'auto' ? caps.api : endpoint.dialect;
+  if (api === 'responses') {
+    return await summarizeWithOpenAIResponses(prompt, settings, endpoint, job);
   }
 
-  // Chat Completions API for non-GPT-5 models (omit temperature and token caps)
+  // Chat Completions API (omit temperature and token caps)
   const chatBody = {
-    model: model || 'gpt-5-nano',
+    model: model || DEFAULT_MODELS.openai,
     messages: [
       { role: 'system', content: system },
       { role: 'user', content: user }
     ]
   };
-  console.log('[GNS] Sending request to OpenAI (chat.completions):', { ...chatBody });
-  const key = (apiKey || '').trim();
-  validateHeaderByteString('Authorization', `Bearer ${key}`);
-  validateHeaderByteString('Content-Type', 'application/json');
-  const chatRes = await fetch('https://api.openai.com/v1/chat/completions', {
+  if (prompt.schema && caps.jsonSchema !== false) {
+    chatBody.response_format = { type: 'json_schema', json_schema: { name: 'news_summary', strict: true, schema: prompt.schema } };
+  }
+  const streaming = wantsStream(settings, job, prompt);
+  if (streaming) chatBody.stream = true;
+  console.log(`[GNS] Sending request to ${endpoint.name} (chat.completions):`, { ...chatBody, messages: '[messages elided]' });
+  const chatRes = await providerFetch(endpoint.id, `${endpoint.baseUrl}/chat/completions`, {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${key}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(chatBody)
-  });
-  console.log('[GNS] OpenAI response status (chat):', chatRes.status);
+    headers: buildAuthHeaders(key),
+    body: JSON.stringify(chatBody),
+    signal: job.signal
+  }, job);
+  console.log(`[GNS] ${endpoint.name} response status (chat):`, chatRes.status);
 
   if (chatRes.ok) {
-    const chatData = await chatRes.json();
-    const content = chatData?.choices?.[0]?.message?.content;
+    let content;
+    let chatData = null;
+    if (streaming) {
+      content = await readOpenAIChatStream(chatRes, endpoint, job);
+    } else {
+      chatData = await chatRes.json();
+      content = chatData?.choices?.[0]?.message?.content;
+    }
     if (!content || typeof content !== 'string') {
-      console.error('[GNS] No summary returned by OpenAI (chat):', chatData);
-      throw new Error('No summary returned by OpenAI');
+      console.error(`[GNS] No summary returned by ${endpoint.name} (chat):`, chatData);
+      throw new ProviderError(`No summary returned by ${endpoint.name}`, { provider: endpoint.id, kind: 'empty' });
     }
-    return sanitizeOneLine(content);
+    return content.trim();
   } else {
     const errText = await safeText(chatRes);
-    console.error('[GNS] OpenAI error response (chat):', errText);
+    console.error(`[GNS] ${endpoint.name} error response (chat):`, errText);
 
-    // Some newer models (e.g., gpt-5-* / nano) require the Responses API and use max_completion_tokens.
-    if (chatRes.status === 400 && /max_tokens/i.test(errText) && /max_?completion_?tokens/i.test(errText)) {
-      return await summarizeWithOpenAIResponses(system, user, settings);
+    // Each rejection below is recorded, so the next summary goes straight to the working request
+    // Models that require the Responses API reject chat with a max_completion_tokens hint
+    if (endpoint.dialect === 'auto' && chatRes.status === 400 && /max_tokens/i.test(errText) && /max_?completion_?tokens/i.test(errText)) {
+      await rememberModelCapabilities(endpoint.id, model, { api: 'responses' }, 'learned');
+      return await summarizeWithOpenAIResponses(prompt, { ...settings, capabilities: { ...caps, api: 'responses' } }, endpoint, job);
     }
 
-    throw new Error(`OpenAI error (${chatRes.status}): ${errText}`);
+    // Older models and some local servers reject json_schema; the system prompt still asks for JSON
+    if (chatBody.response_format && chatRes.status === 400 && /response_format|json_schema/i.test(errText)) {
+      console.warn(`[GNS] ${endpoint.name} does not support json_schema; retrying with prompt-only JSON`);
+      await rememberModelCapabilities(endpoint.id, model, { jsonSchema: false }, 'learned');
+      return await summarizeWithOpenAI(prompt, { ...settings, capabilities: { ...caps, jsonSchema: false } }, endpoint, job);
+    }
+
+    if (streaming && isStreamRejection(chatRes.status, errText)) {
+      console.warn(`[GNS] ${endpoint.name} refused to stream ${model}; retrying without streaming`);
+      await rememberModelCapabilities(endpoint.id, model, { stream: false }, 'learned');
+      return await summarizeWithOpenAI(prompt, { ...settings, capabilities: { ...caps, stream: false } }, endpoint, job);
+    }
+
+    throw new ProviderError(describeHttpError(endpoint.name, chatRes.status, openAIErrorMessage(errText)), { provider: endpoint.id, status: chatRes.status });
   }
 }
 
 /**
- * Fallback path for models that require the Responses API.
- * Uses max_completion_tokens per error guidance.
+ * Responses API, for models whose capabilities say so (or the custom endpoint's dialect).
+ * Retries without text.format / tool_choice and with an output cap when the API asks for it.
  */
-async function summarizeWithOpenAIResponses(system, user, settings) {
-  const { apiKey, model } = settings;
+async function summarizeWithOpenAIResponses(prompt, settings, endpoint = openAIEndpoint(settings), job = {}) {
+  const { model } = settings;
+  const { system, user } = prompt;
   const base = {
-    model: model || 'gpt-5-nano',
+    model: model || DEFAULT_MODELS.openai,
     // Provide system behavior via top-level instructions.
     instructions: system,
     // Responses API expects input parts with specific types; use input_text for user input.
@@ -1240,33 +3735,37 @@ async function summarizeWithOpenAIResponses(system, user, settings) {
     tool_choice: 'none'
   };
 
-  const key = (apiKey || '').trim();
-  validateHeaderByteString('Authorization', `Bearer ${key}`);
-  validateHeaderByteString('Content-Type', 'application/json');
+  const headers = buildAuthHeaders((endpoint.apiKey || '').trim());
+  const streaming = wantsStream(settings, job, prompt);
+  if (streaming) base.stream = true;
+  const modelCaps = settings.capabilities || catalogCapabilities(endpoint.id, model);
+  const format = prompt.schema && modelCaps.jsonSchema !== false
+    ? { format: { type: 'json_schema', name: 'news_summary', strict: true, schema: prompt.schema } }
+    : { format: { type: 'text' }, verbosity: 'low' };
 
   // Try without explicit cap first to avoid premature truncation; then fallback with a cap
   const caps = [null, 512];
 
   let lastErrText = null;
+  let lastStatus = 0;
   for (const cap of caps) {
     for (const useTextFormat of [true, false]) {
       const body = { ...base };
-      if (useTextFormat) body.text = { format: { type: 'text' }, verbosity: 'low' };
+      if (useTextFormat) body.text = format;
       if (cap != null) body.max_output_tokens = cap;
 
-      console.log('[GNS] Sending request to OpenAI (responses):', { ...body, input: '[messages elided]' });
-      const res = await fetch('https://api.openai.com/v1/responses', {
-    method: 'POST',
-    headers: {
-          'Authorization': `Bearer ${key}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
-      console.log('[GNS] OpenAI response status (responses):', res.status);
+      console.log(`[GNS] Sending request to ${endpoint.name} (responses):`, { ...body, input: '[messages elided]' });
+      const res = await providerFetch(endpoint.id, `${endpoint.baseUrl}/responses`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: job.signal
+      }, job);
+      console.log(`[GNS] ${endpoint.name} response status (responses):`, res.status);
 
       if (res.ok) {
-        const data = await res.json();
+        // A streamed response ends with the same response object the non-streaming call returns
+        const data = streaming ? await readOpenAIResponsesStream(res, endpoint, job) : await res.json();
 
         // Try a few shapes returned by Responses API
         let content = null;
@@ -1310,15 +3809,21 @@ async function summarizeWithOpenAIResponses(system, user, settings) {
             // Try next cap
             break; // break inner loop; go to next cap
           }
-          console.error('[GNS] No summary returned by OpenAI (responses):', data);
-    throw new Error('No summary returned by OpenAI');
-  }
-  return sanitizeOneLine(content);
+          console.error(`[GNS] No summary returned by ${endpoint.name} (responses):`, data);
+          throw new ProviderError(`No summary returned by ${endpoint.name}`, { provider: endpoint.id, kind: 'empty' });
+        }
+        return content.trim();
       } else {
         const errText = await safeText(res);
-        console.error('[GNS] OpenAI error response (responses):', errText);
+        console.error(`[GNS] ${endpoint.name} error response (responses):`, errText);
         lastErrText = errText;
+        lastStatus = res.status;
 
+        if (streaming && isStreamRejection(res.status, errText)) {
+          console.warn(`[GNS] ${endpoint.name} refused to stream ${model}; retrying without streaming`);
+          await rememberModelCapabilities(endpoint.id, model, { stream: false }, 'learned');
+          return await summarizeWithOpenAIResponses(prompt, { ...settings, capabilities: { ...modelCaps, stream: false } }, endpoint, job);
+        }
         // If 'text.format' is unsupported, try again without the text.format field
         if (/unsupported_parameter/i.test(errText) && /text\.format/i.test(errText)) {
           continue;
@@ -1332,7 +3837,286 @@ async function summarizeWithOpenAIResponses(system, user, settings) {
       }
     }
   }
-  throw new Error(`OpenAI error (responses): ${lastErrText || 'unknown error'}`);
+  throw new ProviderError(describeHttpError(endpoint.name, lastStatus, openAIErrorMessage(lastErrText || 'unknown error')), { provider: endpoint.id, status: lastStatus });
+}
+
+/**
+ * Anthropic Messages API. The prompt's system text goes into the top-level `system` field.
+ */
+async function summarizeWithAnthropic(prompt, settings, job = {}) {
+  const { anthropicApiKey, model } = settings;
+  if (!anthropicApiKey) {
+    console.error('[GNS] No Anthropic API key set in settings:', redactSettings(settings));
+    throw new ProviderError('Anthropic API key not set. Configure it in the extension Options.', { provider: 'anthropic', kind: 'auth' });
+  }
+
+  const { system, user } = prompt;
+  const body = {
+    model: model || DEFAULT_MODELS.anthropic,
+    // max_tokens is required by the Messages API; a one-line summary needs far less
+    max_tokens: prompt.schema ? 1024 : 512,
+    system,
+    messages: [
+      { role: 'user', content: user }
+    ]
+  };
+  // Anthropic has no response_format; forcing a tool call gets input that follows the schema
+  if (prompt.schema) {
+    body.tools = [{ name: 'record_summary', description: 'Record the structured summary of the article', input_schema: prompt.schema }];
+    body.tool_choice = { type: 'tool', name: 'record_summary' };
+  }
+  const streaming = wantsStream(settings, job, prompt);
+  if (streaming) body.stream = true;
+
+  const key = (anthropicApiKey || '').trim();
+  validateHeaderByteString('x-api-key', key);
+  validateHeaderByteString('Content-Type', 'application/json');
+
+  console.log('[GNS] Sending request to Anthropic (messages):', { ...body, messages: '[messages elided]' });
+  const res = await providerFetch('anthropic', 'https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'x-api-key': key,
+      'anthropic-version': ANTHROPIC_API_VERSION,
+      // Required for requests that carry an extension/browser Origin header
+      'anthropic-dangerous-direct-browser-access': 'true',
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal: job.signal
+  }, job);
+  console.log('[GNS] Anthropic response status:', res.status);
+
+  if (!res.ok) {
+    const errText = await safeText(res);
+    console.error('[GNS] Anthropic error response:', errText);
+    throw new ProviderError(describeHttpError('Anthropic', res.status, anthropicErrorMessage(errText)), { provider: 'anthropic', status: res.status });
+  }
+
+  // Response content is a list of blocks; concatenate the text blocks
+  const data = streaming ? await readAnthropicStream(res, job) : await res.json();
+  const toolUse = Array.isArray(data?.content) ? data.content.find(b => b && b.type === 'tool_use') : null;
+  if (prompt.schema && toolUse && toolUse.input) return JSON.stringify(toolUse.input);
+  const content = Array.isArray(data?.content)
+    ? data.content.filter(b => b && b.type === 'text' && typeof b.text === 'string').map(b => b.text).join(' ')
+    : '';
+  if (!content.trim()) {
+    console.error('[GNS] No summary returned by Anthropic:', data);
+    if (data?.stop_reason === 'refusal') {
+      throw new ProviderError('Anthropic declined to summarize this article', { provider: 'anthropic', kind: 'blocked' });
+    }
+    throw new ProviderError('No summary returned by Anthropic', { provider: 'anthropic', kind: 'empty' });
+  }
+  return content.trim();
+}
+
+// Anthropic errors look like { type: 'error', error: { type, message } }
+function anthropicErrorMessage(errText) {
+  try {
+    const parsed = JSON.parse(errText);
+    const err = parsed && parsed.error;
+    if (err && err.message) return err.type ? `${err.type}: ${err.message}` : err.message;
+  } catch {/* not JSON */}
+  return errText;
+}
+
+/**
+ * Google Gemini generateContent API. The prompt's system text maps to systemInstruction;
+ * the answer is read from candidates[].content.parts[].text.
+ */
+async function summarizeWithGemini(prompt, settings, job = {}) {
+  const { geminiApiKey, model } = settings;
+  if (!geminiApiKey) {
+    console.error('[GNS] No Gemini API key set in settings:', redactSettings(settings));
+    throw new ProviderError('Gemini API key not set. Configure it in the extension Options.', { provider: 'gemini', kind: 'auth' });
+  }
+
+  const { system, user } = prompt;
+  const body = {
+    systemInstruction: { parts: [{ text: system }] },
+    contents: [
+      { role: 'user', parts: [{ text: user }] }
+    ]
+  };
+  if (prompt.schema) {
+    body.generationConfig = { responseMimeType: 'application/json', responseSchema: toGeminiSchema(prompt.schema) };
+  }
+
+  const key = (geminiApiKey || '').trim();
+  validateHeaderByteString('x-goog-api-key', key);
+  validateHeaderByteString('Content-Type', 'application/json');
+
+  // Accept both "gemini-2.0-flash" and "models/gemini-2.0-flash"
+  const modelId = (model || DEFAULT_MODELS.gemini).replace(/^models\//, '');
+  const streaming = wantsStream(settings, job, prompt);
+  const method = streaming ? 'streamGenerateContent?alt=sse' : 'generateContent';
+  console.log('[GNS] Sending request to Gemini:', { model: modelId, method });
+  const res = await providerFetch('gemini', `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(modelId)}:${method}`, {
+    method: 'POST',
+    headers: {
+      'x-goog-api-key': key,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body),
+    signal: job.signal
+  }, job);
+  console.log('[GNS] Gemini response status:', res.status);
+
+  if (!res.ok) {
+    const errText = await safeText(res);
+    console.error('[GNS] Gemini error response:', errText);
+    throw new ProviderError(describeHttpError('Gemini', res.status, geminiErrorMessage(errText)), { provider: 'gemini', status: res.status });
+  }
+
+  const data = streaming ? await readGeminiStream(res, job) : await res.json();
+  const blocked = describeGeminiBlock(data);
+  if (blocked) {
+    console.warn('[GNS] Gemini blocked the response:', data);
+    throw new ProviderError(blocked, { provider: 'gemini', kind: 'blocked' });
+  }
+
+  const candidate = Array.isArray(data?.candidates) ? data.candidates[0] : null;
+  const parts = candidate?.content?.parts;
+  const content = Array.isArray(parts)
+    ? parts.filter(p => p && typeof p.text === 'string' && !p.thought).map(p => p.text).join(' ')
+    : '';
+  if (!content.trim()) {
+    console.error('[GNS] No summary returned by Gemini:', data);
+    throw new ProviderError(candidate?.finishReason
+      ? `No summary returned by Gemini (finish reason: ${candidate.finishReason})`
+      : 'No summary returned by Gemini', { provider: 'gemini', kind: 'empty' });
+  }
+  return content.trim();
+}
+
+// Finish reasons that mean Gemini withheld the answer rather than running out of tokens
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+/**
+ * Turn a safety-blocked Gemini response into a readable message, or '' if it wasn't blocked.
+ * The prompt itself can be blocked (promptFeedback.blockReason) or the candidate can be stopped
+ * (finishReason SAFETY etc.); either way the flagged categories are in safetyRatings.
+ */
+function describeGeminiBlock(data) {
+  const flagged = (ratings) => (Array.isArray(ratings) ? ratings : [])
+    .filter(r => r && (r.blocked || r.probability === 'HIGH' || r.probability === 'MEDIUM'))
+    .map(r => String(r.category || '').replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase())
+    .filter(Boolean);
+
+  const feedback = data?.promptFeedback;
+  if (feedback?.blockReason) {
+    const categories = flagged(feedback.safetyRatings);
+    return `Gemini refused to summarize this article (prompt blocked: ${feedback.blockReason.toLowerCase()}${categories.length ? `; ${categories.join(', ')}` : ''}).`;
+  }
+
+  const candidate = Array.isArray(data?.candidates) ? data.candidates[0] : null;
+  if (candidate && GEMINI_BLOCK_REASONS.includes(candidate.finishReason)) {
+    const categories = flagged(candidate.safetyRatings);
+    return `Gemini withheld the summary (${candidate.finishReason.toLowerCase()}${categories.length ? `; ${categories.join(', ')}` : ''}).`;
+  }
+  return '';
+}
+
+// Gemini errors look like { error: { code, message, status } }
+function geminiErrorMessage(errText) {
+  try {
+    const parsed = JSON.parse(errText);
+    const err = parsed && (Array.isArray(parsed) ? parsed[0]?.error : parsed.error);
+    if (err && err.message) return err.status ? `${err.status}: ${err.message}` : err.message;
+  } catch {/* not JSON */}
+  return errText;
+}
+
+// Chat Completions stream: `data: {choices:[{delta:{content}}]}` lines terminated by `data: [DONE]`
+async function readOpenAIChatStream(res, endpoint, job) {
+  let content = '';
+  await readSseStream(res, (event, data) => {
+    if (data === '[DONE]') return;
+    const chunk = parseJsonOrNull(data);
+    if (chunk?.error) {
+      throw new ProviderError(`${endpoint.name} error (stream): ${chunk.error.message || data}`, { provider: endpoint.id, kind: 'server' });
+    }
+    const delta = chunk?.choices?.[0]?.delta?.content;
+    if (typeof delta === 'string' && delta) {
+      content += delta;
+      job.onDelta(delta);
+    }
+  });
+  return content;
+}
+
+/**
+ * Responses stream: text arrives as response.output_text.delta events; the final
+ * response.completed / response.incomplete event carries the full response object.
+ */
+async function readOpenAIResponsesStream(res, endpoint, job) {
+  let text = '';
+  let final = null;
+  await readSseStream(res, (event, data) => {
+    const payload = parseJsonOrNull(data);
+    if (!payload) return;
+    const type = payload.type || event;
+    if (type === 'response.output_text.delta' && typeof payload.delta === 'string') {
+      text += payload.delta;
+      job.onDelta(payload.delta);
+    } else if (type === 'response.completed' || type === 'response.incomplete') {
+      final = payload.response || null;
+    } else if (type === 'response.failed' || type === 'error') {
+      const err = payload.response?.error || payload.error || payload;
+      throw new ProviderError(`${endpoint.name} error (responses stream): ${err.message || data}`, { provider: endpoint.id, kind: 'server' });
+    }
+  });
+  const data = final || { status: 'completed' };
+  if (text && typeof data.output_text !== 'string') data.output_text = text;
+  return data;
+}
+
+// Anthropic stream: content_block_delta events carry text_delta chunks; rebuilt into a Messages response shape
+async function readAnthropicStream(res, job) {
+  let text = '';
+  let stopReason = null;
+  await readSseStream(res, (event, data) => {
+    const payload = parseJsonOrNull(data);
+    if (!payload) return;
+    const type = payload.type || event;
+    if (type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+      text += payload.delta.text;
+      job.onDelta(payload.delta.text);
+    } else if (type === 'message_delta' && payload.delta?.stop_reason) {
+      stopReason = payload.delta.stop_reason;
+    } else if (type === 'error') {
+      const errType = payload.error?.type || '';
+      const kind = errType === 'overloaded_error' || errType === 'api_error' ? 'server'
+        : errType === 'rate_limit_error' ? 'rate_limit' : 'bad_request';
+      throw new ProviderError(`Anthropic error (stream): ${errType ? `${errType}: ` : ''}${payload.error?.message || data}`, { provider: 'anthropic', kind });
+    }
+  });
+  return { content: [{ type: 'text', text }], stop_reason: stopReason };
+}
+
+// Gemini stream: each event is a partial GenerateContentResponse; merged into one response shape
+async function readGeminiStream(res, job) {
+  let text = '';
+  let last = null;
+  await readSseStream(res, (event, data) => {
+    const chunk = parseJsonOrNull(data);
+    if (!chunk) return;
+    last = chunk;
+    // Stop forwarding as soon as a chunk is blocked; the caller reports why
+    if (describeGeminiBlock(chunk)) return;
+    const parts = chunk.candidates?.[0]?.content?.parts;
+    for (const p of Array.isArray(parts) ? parts : []) {
+      if (p && typeof p.text === 'string' && !p.thought && p.text) {
+        text += p.text;
+        job.onDelta(p.text);
+      }
+    }
+  });
+  const candidate = last?.candidates?.[0] || {};
+  return {
+    promptFeedback: last?.promptFeedback,
+    candidates: [{ ...candidate, content: { parts: [{ text }] } }]
+  };
 }
 
 function validateHeaderByteString(name, value) {
@@ -1341,11 +4125,11 @@ function validateHeaderByteString(name, value) {
     const code = value.charCodeAt(i);
     if (code > 127) {
       // Do not echo the value; provide a clear, actionable error.
-      throw new Error(`Header "${name}" contains a non-ASCII character (e.g., "smart quotes" or an ellipsis). Re-copy your API key exactly from OpenAI (no …) and paste plain text.`);
+      throw new Error(`Header "${name}" contains a non-ASCII character (e.g., "smart quotes" or an ellipsis). Re-copy your API key exactly from your provider (no …) and paste plain text.`);
     }
   }
   // Heuristic guard: extremely long keys usually indicate copying a truncated UI string with an ellipsis.
-  if (name.toLowerCase() === 'authorization') {
+  if (['authorization', 'x-api-key', 'x-goog-api-key'].includes(name.toLowerCase())) {
     const keyPart = value.replace(/^Bearer\s+/i, '');
     if (keyPart.length > 200) {
       throw new Error('API key appears unusually long. Ensure you copied the exact key (no hidden/truncated characters).');
@@ -1477,105 +4261,158 @@ function extractArticleContentFromGoogleNews(html) {
   }
 }
 
-async function extractTextFromRegularUrl(url) {
+async function extractTextFromRegularUrl(url, job = {}, { rules = [], maxExtraPages = 0 } = {}) {
   try {
-    const html = await fetchHtml(url);
-    return await tryParse(html);
+    const rule = findExtractionRule(url, rules);
+    if (rule) console.log('[GNS] Applying site rule for', rule.host);
+    let html = await fetchHtml(url, job);
+    let pageUrl = url;
+    let via = '';
+    if (rule && rule.prefer === 'amp') {
+      const amp = absoluteUrl(extractAmpUrl(html), url);
+      if (amp && isValidExternalUrl(amp)) {
+        try {
+          html = await fetchHtml(amp, job);
+          pageUrl = amp;
+          via = 'amp/';
+        } catch (err) {
+          throwIfAborted(job);
+          console.warn('[GNS] AMP page failed, using the regular page:', err && err.message ? err.message : err);
+        }
+      }
+    }
+    const { text, strategy, meta } = extractArticle(html, { rule });
+    const wall = detectAccessWall(html, { text, meta });
+    if (wall) console.log('[GNS] Publisher page is not the article:', wall);
+    const pages = [text];
+    if (!wall && maxExtraPages > 0) pages.push(...await fetchExtraPages(html, pageUrl, { job, rule, maxExtraPages }));
+    return {
+      text: pages.length > 1 ? joinPages(pages) : text,
+      strategy: via + strategy,
+      pages: pages.length,
+      wall,
+      meta: { url, language: detectHtmlLanguage(html), ...meta }
+    };
   } catch (error) {
     console.error('[GNS] Error extracting from regular URL:', error);
     throw error;
   }
 }
 
-async function tryParse(html) {
-  try {
-    // Use regex-based parsing since DOMParser is not available in background scripts
-    
-    // Extract title
-    const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-    const title = titleMatch ? titleMatch[1].trim() : '';
-    
-    // Extract meta description
-    const metaDescMatch = html.match(/<meta[^>]*name=["']description["'][^>]*content=["']([^"']+)["'][^>]*>/i);
-    const metaDesc = metaDescMatch ? metaDescMatch[1].trim() : '';
-    
-    // Extract Open Graph description
-    const ogDescMatch = html.match(/<meta[^>]*property=["']og:description["'][^>]*content=["']([^"']+)["'][^>]*>/i);
-    const ogDesc = ogDescMatch ? ogDescMatch[1].trim() : '';
-    
-    // Try to extract main content using regex patterns
-    let mainContent = '';
-    
-    // Look for common content selectors
-    const contentSelectors = [
-      /<main[^>]*>([\s\S]*?)<\/main>/i,
-      /<article[^>]*>([\s\S]*?)<\/article>/i,
-      /<div[^>]*class=["'][^"']*content[^"']*["'][^>]*>([\s\S]*?)<\/div>/i,
-      /<div[^>]*class=["'][^"']*post-content[^"']*["'][^>]*>([\s\S]*?)<\/div>/i,
-      /<div[^>]*class=["'][^"']*entry-content[^"']*["'][^>]*>([\s\S]*?)<\/div>/i,
-      /<div[^>]*class=["'][^"']*article-content[^"']*["'][^>]*>([\s\S]*?)<\/div>/i,
-      /<div[^>]*class=["'][^"']*story-content[^"']*["'][^>]*>([\s\S]*?)<\/div>/i
-    ];
-    
-    for (const selector of contentSelectors) {
-      const match = html.match(selector);
-      if (match && match[1]) {
-        // Strip HTML tags and clean up
-        const text = match[1].replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-        if (text.length > 200) {
-          mainContent = text;
-          break;
-        }
-      }
-    }
-    
-    // Extract body content as fallback
-    const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-    const bodyContent = bodyMatch ? bodyMatch[1].replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() : '';
-    
-    // Combine all available content, prioritizing main content
-    let combinedContent = '';
-    if (mainContent && mainContent.length > 200) {
-      combinedContent = mainContent;
-    } else if (metaDesc && metaDesc.length > 100) {
-      combinedContent = metaDesc;
-    } else if (ogDesc && ogDesc.length > 100) {
-      combinedContent = ogDesc;
-    } else if (bodyContent && bodyContent.length > 200) {
-      combinedContent = bodyContent;
+/**
+ * Metadata-only strategy: the publisher's description (JSON-LD, microdata, then OG / Twitter /
+ * meta tags) stands in for the article text. Same shape as extractTextFromRegularUrl; a page
+ * without a description, or a bot check or consent page, is reported as a wall so the card is
+ * summarized instead.
+ */
+async function extractMetadataFromUrl(url, job = {}) {
+  const html = await fetchHtml(url, job);
+  const { articleBody, articleBodySource, ...meta } = extractPageMeta(html);
+  const text = meta.description || '';
+  let wall = null;
+  if (BOT_CHECK_MARKERS.test(html.slice(0, 200000))) wall = 'bot-check';
+  else if (CONSENT_MARKERS.test(text)) wall = 'consent';
+  else if (!text.trim()) wall = 'no-description';
+  if (wall) console.log('[GNS] No usable publisher description:', wall);
+  return { text, strategy: 'metadata', pages: 1, wall, meta: { url, language: detectHtmlLanguage(html), ...meta } };
+}
+
+/**
+ * Multi-page articles: follow rel="next" (link or anchor), then same-site links to page N+1
+ * (?page=N+1, /page/N+1) or labelled "next page" / "continue reading", up to maxExtraPages.
+ * Stops at the first page that fails, loops back or yields no article text.
+ */
+const PAGE_PARAMS = ['page', 'p', 'pg', 'pagina', 'seite', 'pag'];
+const NEXT_PAGE_TEXT = /^\s*(?:next page|continue reading|continue to page \d+|nächste seite|weiterlesen|page suivante|lire la suite|página siguiente|siguiente página|pagina successiva|volgende pagina)\s*[›»→>]*\s*$/i;
+
+async function fetchExtraPages(html, pageUrl, { job = {}, rule = null, maxExtraPages }) {
+  const texts = [];
+  const seen = new Set([stripHash(pageUrl)]);
+  let current = { html, url: pageUrl, number: 1 };
+  while (texts.length < maxExtraPages) {
+    const next = findNextPageUrl(current.html, current.url, current.number);
+    if (!next || seen.has(stripHash(next))) break;
+    seen.add(stripHash(next));
+    let nextHtml;
+    try {
+      nextHtml = await fetchHtml(next, job);
+    } catch (err) {
+      throwIfAborted(job);
+      console.warn('[GNS] Could not fetch article page', current.number + 1, err && err.message ? err.message : err);
+      break;
     }
-    
-    // Clean up the content
-    if (combinedContent) {
-      combinedContent = combinedContent
-        .replace(/\s+/g, ' ')
-        .replace(/\n+/g, ' ')
-        .trim();
-      
-      // If we have a title, prepend it
-      if (title && !combinedContent.includes(title)) {
-        combinedContent = title + '. ' + combinedContent;
-      }
-      
-      return combinedContent;
+    const { text } = extractArticle(nextHtml, { rule });
+    if (!text) break;
+    console.log('[GNS] Added article page', current.number + 1, next);
+    texts.push(text);
+    current = { html: nextHtml, url: next, number: current.number + 1 };
+  }
+  return texts;
+}
+
+function findNextPageUrl(html, pageUrl, number) {
+  let base;
+  try {
+    base = new URL(pageUrl);
+  } catch {
+    return '';
+  }
+  const sameSite = (href) => {
+    const abs = absoluteUrl(href, pageUrl);
+    try {
+      return abs && new URL(abs).hostname === base.hostname && stripHash(abs) !== stripHash(pageUrl) ? abs : '';
+    } catch {
+      return '';
     }
-    
-    // Fallback to title + description
-    if (title || metaDesc || ogDesc) {
-      return [title, metaDesc, ogDesc].filter(Boolean).join('. ');
+  };
+
+  const links = [];
+  const attributes = '((?:[^>"\']|"[^"]*"|\'[^\']*\')*)';
+  const collect = (re, tag) => {
+    let m;
+    while ((m = re.exec(html)) !== null) {
+      const attrs = parseAttributes(m[1]);
+      if (attrs.href) links.push({ tag, attrs, label: decodeHtml((m[2] || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim() });
     }
-    
-    // Last resort: extract any meaningful text from the HTML
-    const textContent = html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
-    if (textContent.length > 100) {
-      return textContent.substring(0, 2000); // Limit length
+  };
+  collect(new RegExp(`<link\\b${attributes}>`, 'gi'), 'link');
+  collect(new RegExp(`<a\\b${attributes}>([\\s\\S]*?)<\\/a>`, 'gi'), 'a');
+
+  const rel = links.find((l) => /(^|\s)next(\s|$)/i.test(l.attrs.rel || '') && sameSite(l.attrs.href));
+  if (rel) return sameSite(rel.attrs.href);
+
+  const wanted = String(number + 1);
+  const basePath = base.pathname.replace(/\/page\/\d+\/?$/, '').replace(/\/$/, '');
+  const numbered = links.find((l) => {
+    const abs = l.tag === 'a' && sameSite(l.attrs.href);
+    if (!abs) return false;
+    const u = new URL(abs);
+    if (u.pathname === base.pathname && PAGE_PARAMS.some((p) => u.searchParams.get(p) === wanted)) return true;
+    return u.pathname.replace(/\/$/, '') === `${basePath}/page/${wanted}`;
+  });
+  if (numbered) return sameSite(numbered.attrs.href);
+
+  const labelled = links.find((l) => l.tag === 'a' && NEXT_PAGE_TEXT.test(l.label) && sameSite(l.attrs.href));
+  return labelled ? sameSite(labelled.attrs.href) : '';
+}
+
+function stripHash(url) {
+  return String(url || '').split('#')[0];
+}
+
+// Pages joined in order; paragraphs already seen (repeated intros, captions, boilerplate) are dropped
+function joinPages(texts) {
+  const seen = new Set();
+  const out = [];
+  for (const text of texts) {
+    for (const paragraph of text.split('\n')) {
+      const key = paragraph.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      out.push(paragraph);
     }
-    
-    return '';
-  } catch (e) {
-    console.log('[GNS] Error parsing HTML:', e);
-    return '';
   }
+  return out.join('\n').slice(0, MAX_ARTICLE_CHARS);
 }
 
 // Open options page when extension icon is clicked (MV3 and MV2 support)
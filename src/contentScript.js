@@ -33,13 +33,45 @@ function shieldClicks(el) {
       if (t && typeof t.closest === 'function' && t.closest('.gns-btn')) {
         return;
       }
+      // Let controls inside the bubble (close, text selection) receive the event;
+      // it is stopped on the way back up instead
+      if (t && typeof t.closest === 'function' && t.closest('.gns-bubble')) {
+        return;
+      }
       e.preventDefault();
       e.stopPropagation();
       if (e.stopImmediatePropagation) e.stopImmediatePropagation();
     }, { capture: true });
+    // Bubble phase: nothing from our UI should reach the card's own handlers
+    el.addEventListener(ev, (e) => e.stopPropagation());
   }
 }
 
+function createBubbleCloseButton(closeBubble) {
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'gns-bubble-close';
+  closeBtn.textContent = '✕';
+  closeBtn.title = 'Close summary';
+  closeBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    console.log('[GNS][CS] Bubble close button clicked');
+    closeBubble();
+  });
+  return closeBtn;
+}
+
+function showBubbleError(bubble, closeBubble, message) {
+  bubble.innerHTML = ''; // Clear including close button
+  const errorDiv = document.createElement('div');
+  errorDiv.textContent = (message || 'Error').replace(/\s+/g, ' ').trim();
+  errorDiv.style.paddingRight = '20px'; // Make room for close button
+  bubble.appendChild(createBubbleCloseButton(closeBubble));
+  bubble.appendChild(errorDiv);
+  bubble.classList.add('gns-error');
+  bubble.hidden = false;
+}
+
 init();
 
 async function init() {
@@ -197,9 +229,16 @@ function injectUI(card, titleAnchor) {
     }
   };
 
+  // In-flight request for this card; cancel() tears down a streaming summary
+  const session = { cancel: null };
+  // Options picked in the bubble for this card, and the summaries received for each
+  let view = {};
+  const results = new Map();
+
   // Helper function to close bubble and reset button state
   const closeBubble = () => {
     console.log('[GNS][CS] closeBubble called');
+    if (session.cancel) session.cancel();
     bubble.hidden = true;
     bubble.innerHTML = ''; // Clear content
     bubble.classList.remove('gns-error');
@@ -240,11 +279,25 @@ function injectUI(card, titleAnchor) {
 
   // Some sites prevent "click" from firing; ensure we handle pointer/mouse/touch directly
   let isProcessing = false; // Flag to prevent multiple simultaneous triggers
+  // One physical click fires several of the events below; only the first one counts
+  const GESTURE_MS = 400;
+  let lastTriggerAt = 0;
   
   const trigger = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     if (e.stopImmediatePropagation) e.stopImmediatePropagation();
+
+    const now = Date.now();
+    if (now - lastTriggerAt < GESTURE_MS) return;
+    lastTriggerAt = now;
+
+    // While loading, the button shows ✕ on hover: cancel the in-flight summary
+    if (btn.dataset.loading === '1') {
+      console.log('[GNS][CS] Cancel clicked while loading');
+      if (session.cancel) session.cancel();
+      return;
+    }
     
     // Prevent multiple simultaneous triggers
     if (isProcessing) {
@@ -281,46 +334,48 @@ function injectUI(card, titleAnchor) {
       return;
     }
     
-    // If button is loading, don't do anything
-    if (isLoading) {
-      console.log('[GNS][CS] Button is loading, ignoring click');
-      return;
-    }
-    
     console.log('[GNS][CS] Summarize button clicked, starting API call');
     isProcessing = true;
     try {
-      await onSummarizeClick({ card, titleAnchor, button: btn, bubble, updateButtonState, closeBubble });
+      // A fresh click starts over with the saved settings
+      view = {};
+      results.clear();
+      await onSummarizeClick({ card, titleAnchor, button: btn, bubble, session, updateButtonState, closeBubble, rerun, view, results });
     } catch (err) {
       // Surface any unexpected error in the bubble
-      bubble.innerHTML = ''; // Clear any existing content
-      
-      // Create and add close button to bubble
-      const closeBtn = document.createElement('button');
-      closeBtn.className = 'gns-bubble-close';
-      closeBtn.textContent = '✕';
-      closeBtn.title = 'Close summary';
-      closeBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log('[GNS][CS] Bubble close button clicked');
-        closeBubble();
-      });
-      
-      const errorDiv = document.createElement('div');
-      errorDiv.textContent = (String(err && err.message ? err.message : err) || 'Error').replace(/\s+/g, ' ').trim();
-      errorDiv.style.paddingRight = '20px'; // Make room for close button
-      
-      bubble.appendChild(closeBtn);
-      bubble.appendChild(errorDiv);
-      bubble.classList.add('gns-error');
-      bubble.hidden = false;
+      showBubbleError(bubble, closeBubble, String(err && err.message ? err.message : err));
       updateButtonState(); // Update button state after error
     } finally {
       isProcessing = false;
     }
   };
 
+  // Bubble controls (format switcher, original-language toggle) summarize this card again
+  // with changed options; answers already seen for this card are shown from memory
+  const rerun = async (changes, { force = false } = {}) => {
+    if (isProcessing || btn.dataset.loading === '1') return;
+    view = { ...view, ...changes };
+    const known = !force && results.get(viewKey(view));
+    if (known) {
+      renderSummary(bubble, known, { closeBubble, rerun, view });
+      updateButtonState();
+      return;
+    }
+    bubble.hidden = true;
+    bubble.innerHTML = '';
+    bubble.classList.remove('gns-error');
+    updateButtonState();
+    isProcessing = true;
+    try {
+      await onSummarizeClick({ card, titleAnchor, button: btn, bubble, session, updateButtonState, closeBubble, rerun, view, results, force });
+    } catch (err) {
+      showBubbleError(bubble, closeBubble, String(err && err.message ? err.message : err));
+      updateButtonState();
+    } finally {
+      isProcessing = false;
+    }
+  };
+
   btn.addEventListener('pointerdown', (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -335,7 +390,7 @@ function injectUI(card, titleAnchor) {
   btn.addEventListener('click', trigger, { capture: true });
 }
 
-async function onSummarizeClick({ card, titleAnchor, button, bubble, updateButtonState, closeBubble }) {
+async function onSummarizeClick({ card, titleAnchor, button, bubble, session, updateButtonState, closeBubble, rerun, view = {}, results, force = false }) {
   console.log('[GNS][CS] onSummarizeClick called with button state:', {
     dataState: button.dataset.state,
     dataLoading: button.dataset.loading,
@@ -361,47 +416,28 @@ async function onSummarizeClick({ card, titleAnchor, button, bubble, updateButto
   
   if (button.dataset.loading === '1') return;
   button.dataset.loading = '1';
-  button.textContent = '…'; // loading indicator
+  button.textContent = '✕'; // revealed on hover over the spinner; clicking cancels
+  button.title = 'Cancel summary';
   // Show spinner only (hide bubble while loading)
   bubble.hidden = true;
   bubble.innerHTML = ''; // Clear any existing content
+  bubble.classList.remove('gns-error');
   try { console.debug('[GNS][CS] Summarize clicked'); } catch {}
 
   // Basic sanity check for messaging API
   if (!chrome?.runtime?.sendMessage) {
-    bubble.innerHTML = ''; // Clear any existing content
-    
-    // Create and add close button to bubble
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'gns-bubble-close';
-    closeBtn.textContent = '✕';
-    closeBtn.title = 'Close summary';
-    closeBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      console.log('[GNS][CS] Bubble close button clicked');
-      closeBubble();
-    });
-    
-    const errorDiv = document.createElement('div');
-    errorDiv.textContent = 'Extension messaging unavailable.';
-    errorDiv.style.paddingRight = '20px'; // Make room for close button
-    
-    bubble.appendChild(closeBtn);
-    bubble.appendChild(errorDiv);
-    bubble.classList.add('gns-error');
-    bubble.hidden = false;
+    showBubbleError(bubble, closeBubble, 'Extension messaging unavailable.');
     button.dataset.loading = '0';
     updateButtonState(); // Use updateButtonState instead of setting text directly
     return;
   }
 
-  // Always refresh settings to reflect latest Options (e.g., deepFetch toggled)
+  // Always refresh settings to reflect latest Options (e.g., content strategy changed)
   await refreshSettings();
   const settings = state.settings || {};
 
   try {
-    const { text, url } = getCardContent(card, titleAnchor);
+    const { text, url, title, snippet, source, publishedAt } = getCardContent(card, titleAnchor);
     
     console.log('[GNS][CS] Content extraction result:', { text, url, hasGoogleNewsUrl: url && url.includes('news.google.com/read/') });
 
@@ -409,79 +445,86 @@ async function onSummarizeClick({ card, titleAnchor, button, bubble, updateButto
       throw new Error('Could not extract article content.');
     }
 
-    let resp;
-    
-    // Always try to use the Google News read URL first to get the full article
-    // The background script will resolve this to the final article URL and fetch the content
-    if (url && url.includes('news.google.com/read/')) {
+    let message;
+    const strategy = CONTENT_STRATEGY_LABELS[settings.contentStrategy] ? settings.contentStrategy : 'full';
+
+    // Metadata and full strategies go through the Google News read URL; the background
+    // resolves it to the publisher URL and reads the description or the whole article
+    if (strategy !== 'card' && url && url.includes('news.google.com/read/')) {
       try { 
-        console.log('[GNS][CS] Sending summarizeFromUrl (Google News URL):', url); 
+        console.log('[GNS][CS] Sending summarizeFromUrl (Google News URL):', url, strategy); 
       } catch {}
-      resp = await chrome.runtime.sendMessage({ type: 'summarizeFromUrl', url: url });
+      message = { type: 'summarizeFromUrl', url: url, contentStrategy: strategy };
     } else {
-      // Fallback to summarizing visible text if no Google News URL found
+      // Card-only strategy, or no Google News URL found: summarize the visible text
       const fallbackText = text || (url || '');
-      console.log('[GNS][CS] No Google News URL found, falling back to text summarization. URL was:', url);
+      console.log('[GNS][CS] Summarizing the card text. Strategy:', strategy, 'URL was:', url);
       try { console.debug('[GNS][CS] Sending summarize (no Google News URL, using text)'); } catch {}
-      resp = await chrome.runtime.sendMessage({ type: 'summarize', text: fallbackText });
+      message = { type: 'summarize', text: fallbackText };
+    }
+    // Card metadata for the prompt templates ({{title}}, {{source}}, {{publishedAt}}, {{url}});
+    // title and snippet are also what gets summarized when the article is paywalled
+    message.card = { title, snippet, source, publishedAt, url };
+    // Per-card choices from the bubble (format switcher, "show original")
+    if (view.format) message.format = view.format;
+    if (view.original) message.original = true;
+    // "Regenerate" skips the background's summary cache
+    if (force) message.force = true;
+    // The Google News edition language helps when the article itself can't be fetched
+    if (document.documentElement.lang) message.language = document.documentElement.lang;
+
+    // Render tokens in the bubble as they stream in
+    let partial = '';
+    let streamDiv = null;
+    const onDelta = (chunk) => {
+      partial += chunk;
+      if (!streamDiv) {
+        bubble.innerHTML = '';
+        bubble.appendChild(createBubbleCloseButton(closeBubble));
+        streamDiv = document.createElement('div');
+        streamDiv.className = 'gns-streaming';
+        streamDiv.style.paddingRight = '20px'; // Make room for close button
+        bubble.appendChild(streamDiv);
+        bubble.hidden = false;
+      }
+      streamDiv.textContent = partial;
+    };
+
+    // Retry notices ("rate limited, retrying in 4s…") until the first token arrives
+    let statusDiv = null;
+    const onStatus = (text) => {
+      if (streamDiv) return;
+      if (!statusDiv) {
+        bubble.innerHTML = '';
+        bubble.appendChild(createBubbleCloseButton(closeBubble));
+        statusDiv = document.createElement('div');
+        statusDiv.className = 'gns-status';
+        statusDiv.style.paddingRight = '20px'; // Make room for close button
+        bubble.appendChild(statusDiv);
+        bubble.hidden = false;
+      }
+      statusDiv.textContent = text;
+    };
+
+    const resp = await requestSummary(message, { session, onDelta, onStatus });
+
+    // User cancelled (✕ on the loading button or the bubble); drop any streamed text
+    if (resp?.cancelled) {
+      console.log('[GNS][CS] Summary cancelled');
+      bubble.hidden = true;
+      bubble.innerHTML = '';
+      return;
     }
 
     if (!resp?.ok) {
       throw new Error(resp?.error || 'Summarization failed.');
     }
 
-    // Only show bubble if we have content
-    if (resp.summary && resp.summary.trim()) {
-      // Clear bubble and add content
-      bubble.innerHTML = ''; // Clear including close button
-      
-      // Create and add close button to bubble
-      const closeBtn = document.createElement('button');
-      closeBtn.className = 'gns-bubble-close';
-      closeBtn.textContent = '✕';
-      closeBtn.title = 'Close summary';
-      closeBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        console.log('[GNS][CS] Bubble close button clicked');
-        closeBubble();
-      });
-      
-      const contentDiv = document.createElement('div');
-      contentDiv.textContent = resp.summary;
-      contentDiv.style.paddingRight = '20px'; // Make room for close button
-      
-      bubble.appendChild(closeBtn);
-      bubble.appendChild(contentDiv);
-      bubble.hidden = false;
-    } else {
-      bubble.hidden = true;
-    }
+    if (results) results.set(viewKey(view), resp);
+    renderSummary(bubble, resp, { closeBubble, rerun, view });
     try { console.debug('[GNS][CS] Summary received'); } catch {}
   } catch (err) {
-    // Clear bubble and add error content
-    bubble.innerHTML = ''; // Clear including close button
-    
-    // Create and add close button to bubble
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'gns-bubble-close';
-    closeBtn.textContent = '✕';
-    closeBtn.title = 'Close summary';
-    closeBtn.addEventListener('click', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      console.log('[GNS][CS] Bubble close button clicked');
-      closeBubble();
-    });
-    
-    const errorDiv = document.createElement('div');
-    errorDiv.textContent = (String(err && err.message ? err.message : err) || 'Error').replace(/\s+/g, ' ').trim();
-    errorDiv.style.paddingRight = '20px'; // Make room for close button
-    
-    bubble.appendChild(closeBtn);
-    bubble.appendChild(errorDiv);
-    bubble.classList.add('gns-error');
-    bubble.hidden = false;
+    showBubbleError(bubble, closeBubble, String(err && err.message ? err.message : err));
   } finally {
     button.dataset.loading = '0';
     // Don't reset textContent here - let updateButtonState handle it
@@ -489,6 +532,392 @@ async function onSummarizeClick({ card, titleAnchor, button, bubble, updateButto
   }
 }
 
+// Cache key for one card's summaries, so toggling back and forth does not call the provider again
+function viewKey(view) {
+  return `${view.format || ''}|${view.original ? 'original' : ''}`;
+}
+
+/**
+ * Fill the bubble with a finished summary: text (or structured sections), the provider line,
+ * the translation tag with its original-language toggle and the format switcher.
+ */
+function renderSummary(bubble, resp, { closeBubble, rerun, view = {} }) {
+  // Structured summaries arrive as { headline, summary, keyPoints, entities, sentiment }
+  const structured = resp.summary && typeof resp.summary === 'object';
+
+  // Only show bubble if we have content
+  if (!structured && !(resp.summary && resp.summary.trim())) {
+    bubble.hidden = true;
+    return;
+  }
+
+  // Clear bubble (including any streamed text) and add the final content
+  bubble.innerHTML = '';
+
+  const contentDiv = structured ? renderStructuredSummary(resp.summary) : document.createElement('div');
+  if (!structured) {
+    contentDiv.className = 'gns-summary';
+    contentDiv.textContent = resp.summary;
+  }
+  contentDiv.style.paddingRight = '20px'; // Make room for close button
+
+  bubble.appendChild(createBubbleCloseButton(closeBubble));
+  bubble.appendChild(contentDiv);
+
+  // The article itself was unreadable and only the card was summarized
+  if (resp.limited) {
+    const limitedDiv = document.createElement('div');
+    limitedDiv.className = 'gns-limited';
+    limitedDiv.textContent = `summary based on headline only — ${LIMITED_REASONS[resp.limited] || 'article unavailable'}`;
+    bubble.appendChild(limitedDiv);
+  }
+
+  // Author and date come from the publisher's page metadata, which the card does not show
+  const byline = formatByline(resp.article);
+  if (byline) {
+    const bylineDiv = document.createElement('div');
+    bylineDiv.className = 'gns-byline';
+    bylineDiv.textContent = byline;
+    bubble.appendChild(bylineDiv);
+  }
+
+  // Say which provider actually answered (may be a fallback)
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'gns-meta';
+  if (resp.providerLabel) {
+    const parts = resp.chunks > 1 ? ` · summarized in ${resp.chunks} parts` : '';
+    metaDiv.textContent = `via ${resp.providerLabel}${resp.model ? ` · ${resp.model}` : ''}${parts}`;
+  }
+  if (CONTENT_STRATEGY_LABELS[resp.contentStrategy]) {
+    const tag = document.createElement('span');
+    tag.className = 'gns-strategy-tag';
+    tag.textContent = CONTENT_STRATEGY_LABELS[resp.contentStrategy];
+    tag.title = 'Content strategy (change it in Options)';
+    metaDiv.appendChild(tag);
+  }
+  if (resp.translated && resp.sourceLanguage) {
+    const tag = document.createElement('span');
+    tag.className = 'gns-lang-tag';
+    tag.textContent = `translated from ${resp.sourceLanguage.toUpperCase()}`;
+    metaDiv.appendChild(tag);
+  }
+  if (resp.cached) {
+    const tag = document.createElement('span');
+    tag.className = 'gns-cache-tag';
+    tag.textContent = resp.cachedAt ? `cached ${formatAge(resp.cachedAt)}` : 'cached';
+    tag.title = 'Summary reused from an earlier request';
+    metaDiv.appendChild(tag);
+    if (rerun) {
+      const regenerate = document.createElement('button');
+      regenerate.type = 'button';
+      regenerate.className = 'gns-link-button';
+      regenerate.textContent = 'Regenerate';
+      regenerate.addEventListener('click', (e) => {
+        e.preventDefault();
+        rerun({}, { force: true });
+      });
+      metaDiv.appendChild(regenerate);
+    }
+  }
+  if (rerun && (resp.translated || view.original)) {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'gns-link-button';
+    toggle.textContent = view.original ? 'Show translation' : 'Show original';
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      rerun({ original: !view.original });
+    });
+    metaDiv.appendChild(toggle);
+  }
+  // What the model was actually given, for checking a surprising summary
+  let sourcePanel = null;
+  if (resp.source) {
+    sourcePanel = createSourcePanel(resp);
+    const inspect = document.createElement('button');
+    inspect.type = 'button';
+    inspect.className = 'gns-link-button';
+    inspect.textContent = 'View source';
+    inspect.setAttribute('aria-expanded', 'false');
+    inspect.addEventListener('click', (e) => {
+      e.preventDefault();
+      sourcePanel.hidden = !sourcePanel.hidden;
+      inspect.textContent = sourcePanel.hidden ? 'View source' : 'Hide source';
+      inspect.setAttribute('aria-expanded', String(!sourcePanel.hidden));
+    });
+    metaDiv.appendChild(inspect);
+  }
+  if (metaDiv.childNodes.length) bubble.appendChild(metaDiv);
+  if (sourcePanel) bubble.appendChild(sourcePanel);
+
+  if (rerun) bubble.appendChild(createFormatSwitcher(resp.format, rerun));
+  bubble.hidden = false;
+}
+
+// Why the background fell back to the card (detectAccessWall in background.js, or a failed fetch)
+const LIMITED_REASONS = {
+  paywall: 'article paywalled',
+  consent: 'article behind a consent page',
+  'bot-check': 'article blocked by a bot check',
+  short: 'article text not found',
+  'no-description': 'no publisher description',
+  unavailable: 'article could not be loaded'
+};
+
+// Keep in sync with CONTENT_STRATEGIES in background.js
+const CONTENT_STRATEGY_LABELS = {
+  card: 'card only',
+  metadata: 'description only',
+  full: 'full article'
+};
+
+// How the background got the article text (extractArticle strategies in background.js)
+const SOURCE_STRATEGY_LABELS = {
+  rule: 'site rule',
+  'json-ld': 'JSON-LD article body',
+  microdata: 'microdata article body',
+  density: 'text density',
+  semantic: '<article>/<main> element',
+  description: 'meta description',
+  metadata: 'publisher description (OG / JSON-LD)',
+  body: 'whole page text',
+  card: 'Google News card (title + snippet)'
+};
+
+// Hidden panel with the publisher link, extraction details and the exact prompts sent to the model
+function createSourcePanel(resp) {
+  const { source } = resp;
+  const panel = document.createElement('div');
+  panel.className = 'gns-source-panel';
+  panel.hidden = true;
+
+  if (source.url) {
+    const link = document.createElement('a');
+    link.className = 'gns-source-link';
+    link.href = source.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = source.url;
+    panel.appendChild(link);
+  }
+
+  const amp = source.strategy && source.strategy.startsWith('amp/');
+  const strategy = amp ? source.strategy.slice(4) : source.strategy;
+  const details = document.createElement('div');
+  details.className = 'gns-source-details';
+  details.textContent = [
+    `${SOURCE_STRATEGY_LABELS[strategy] || strategy || 'unknown'}${amp ? ' (AMP page)' : ''}`,
+    source.pages > 1 ? `${source.pages} pages` : '',
+    `${Number(source.chars || 0).toLocaleString()} characters`
+  ].filter(Boolean).join(' · ');
+  panel.appendChild(details);
+
+  // Cached summaries do not keep the prompts (they contain the whole article)
+  if (!Array.isArray(resp.prompts) || !resp.prompts.length) {
+    const note = document.createElement('div');
+    note.className = 'gns-source-details';
+    note.textContent = 'The prompt is not stored with cached summaries; regenerate to see it.';
+    panel.appendChild(note);
+    return panel;
+  }
+
+  const text = formatPrompts(resp.prompts);
+  const pre = document.createElement('pre');
+  pre.className = 'gns-source-text';
+  pre.textContent = text;
+  panel.appendChild(pre);
+
+  const copy = document.createElement('button');
+  copy.type = 'button';
+  copy.className = 'gns-link-button';
+  copy.textContent = 'Copy';
+  copy.addEventListener('click', async (e) => {
+    e.preventDefault();
+    try {
+      await navigator.clipboard.writeText(text);
+      copy.textContent = 'Copied';
+    } catch (err) {
+      console.warn('[GNS][CS] Copy failed:', err);
+      copy.textContent = 'Copy failed';
+    }
+    setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+  });
+  panel.appendChild(copy);
+  return panel;
+}
+
+// One block per model call; long articles have a call per part plus the combining call
+function formatPrompts(prompts) {
+  return prompts.map((prompt, i) => {
+    const header = prompts.length > 1 ? `=== Call ${i + 1} of ${prompts.length} ===\n` : '';
+    return `${header}--- SYSTEM ---\n${prompt.system || ''}\n\n--- USER ---\n${prompt.user || ''}`;
+  }).join('\n\n');
+}
+
+// "By Jane Doe · Example News · Jan 14, 2025"; '' when the page had neither author nor date
+function formatByline(article) {
+  if (!article || !(article.author || article.publishedAt)) return '';
+  const date = article.publishedAt ? new Date(article.publishedAt) : null;
+  const when = date && !Number.isNaN(date.getTime())
+    ? date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+    : article.publishedAt;
+  return [article.author && `By ${article.author}`, article.source, when].filter(Boolean).join(' · ');
+}
+
+// "just now", "12 min ago", "3 h ago"
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.round(minutes / 60)} h ago`;
+}
+
+// Keep in sync with SUMMARY_FORMATS in background.js
+const SUMMARY_FORMAT_LABELS = {
+  oneline: 'One line',
+  paragraph: 'Paragraph',
+  bullets: 'Bullets',
+  tldr: 'TL;DR',
+  structured: 'Structured'
+};
+
+// Row of small buttons under a summary; the active format is disabled
+function createFormatSwitcher(current, rerun) {
+  const row = document.createElement('div');
+  row.className = 'gns-formats';
+  Object.entries(SUMMARY_FORMAT_LABELS).forEach(([id, label]) => {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = 'gns-format';
+    option.textContent = label;
+    option.title = `Summarize again as: ${label}`;
+    if (id === current) {
+      option.classList.add('gns-format-active');
+      option.disabled = true;
+    }
+    option.addEventListener('click', (e) => {
+      e.preventDefault();
+      rerun({ format: id });
+    });
+    row.appendChild(option);
+  });
+  return row;
+}
+
+// Build the bubble body for a structured summary; every field is set through textContent
+function renderStructuredSummary(data) {
+  const root = document.createElement('div');
+  root.className = 'gns-structured';
+
+  if (data.headline) {
+    const headline = document.createElement('div');
+    headline.className = 'gns-headline';
+    headline.textContent = data.headline;
+    root.appendChild(headline);
+  }
+  if (data.summary) {
+    const summary = document.createElement('p');
+    summary.className = 'gns-summary-text';
+    summary.textContent = data.summary;
+    root.appendChild(summary);
+  }
+  if (Array.isArray(data.keyPoints) && data.keyPoints.length) {
+    const list = document.createElement('ul');
+    list.className = 'gns-key-points';
+    data.keyPoints.forEach((point) => {
+      const li = document.createElement('li');
+      li.textContent = point;
+      list.appendChild(li);
+    });
+    root.appendChild(list);
+  }
+  if ((Array.isArray(data.entities) && data.entities.length) || data.sentiment) {
+    const tags = document.createElement('div');
+    tags.className = 'gns-tags';
+    (data.entities || []).forEach((entity) => {
+      const tag = document.createElement('span');
+      tag.className = 'gns-tag';
+      tag.dataset.type = entity.type || 'other';
+      tag.title = entity.type || '';
+      tag.textContent = entity.name;
+      tags.appendChild(tag);
+    });
+    if (data.sentiment) {
+      const sentiment = document.createElement('span');
+      sentiment.className = 'gns-tag gns-sentiment';
+      sentiment.dataset.sentiment = data.sentiment;
+      sentiment.textContent = data.sentiment;
+      tags.appendChild(sentiment);
+    }
+    root.appendChild(tags);
+  }
+  return root;
+}
+
+/**
+ * Summarize over a long-lived port so tokens can be rendered as they arrive.
+ * Resolves with the background's final response, { ok: false, error } on failure,
+ * or { cancelled: true } when session.cancel() is called (user clicked ✕).
+ */
+function requestSummary(message, { session, onDelta, onStatus }) {
+  if (!chrome?.runtime?.connect) {
+    return requestSummaryOnce(message, { session });
+  }
+  return new Promise((resolve) => {
+    let settled = false;
+    const port = chrome.runtime.connect({ name: 'gns-summarize' });
+    const finish = (resp) => {
+      if (settled) return;
+      settled = true;
+      session.cancel = null;
+      try { port.disconnect(); } catch {}
+      resolve(resp);
+    };
+    session.cancel = () => {
+      // Tell the background explicitly; disconnecting alone also aborts the job
+      try { port.postMessage({ type: 'cancel' }); } catch {}
+      finish({ ok: false, cancelled: true });
+    };
+    port.onMessage.addListener((msg) => {
+      if (msg?.type === 'delta') {
+        onDelta(msg.text || '');
+      } else if (msg?.type === 'status') {
+        onStatus(msg.text || '');
+      } else if (msg?.type === 'done') {
+        const { type, ...resp } = msg;
+        finish({ ...resp, ok: true });
+      } else if (msg?.type === 'error') {
+        finish({ ok: false, error: msg.error });
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      finish({ ok: false, error: 'Background stopped before the summary finished.' });
+    });
+    port.postMessage(message);
+  });
+}
+
+// One-shot fallback without streaming; cancelled through a { type: 'cancel', requestId } message
+function requestSummaryOnce(message, { session }) {
+  const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (resp) => {
+      if (settled) return;
+      settled = true;
+      session.cancel = null;
+      resolve(resp);
+    };
+    session.cancel = () => {
+      chrome.runtime.sendMessage({ type: 'cancel', requestId }).catch(() => {});
+      finish({ ok: false, cancelled: true });
+    };
+    chrome.runtime.sendMessage({ ...message, requestId })
+      .then(finish)
+      .catch((err) => finish({ ok: false, error: String(err && err.message ? err.message : err) }));
+  });
+}
+
 function getCardContent(card, titleAnchor) {
   // Title text - try multiple selectors for Google News cards
   let title = getTitleTextFromCard(card) || titleAnchor.textContent.trim();
@@ -514,16 +943,36 @@ function getCardContent(card, titleAnchor) {
   const fallbackUrl = googleNewsUrl || findExternalLink(card);
 
   const textCombined = [title, snippet].filter(Boolean).join('. ');
+  const source = getCardSource(card);
+  const timeEl = card.querySelector('time[datetime]');
+  const publishedAt = timeEl ? timeEl.getAttribute('datetime') : '';
   console.log('[GNS][CS] Extracted content:', { 
     title, 
     snippet, 
+    source,
+    publishedAt,
     textCombined, 
     googleNewsUrl,
     fallbackUrl,
     finalUrl: fallbackUrl 
   });
   
-  return { text: textCombined, url: fallbackUrl };
+  return { text: textCombined, url: fallbackUrl, title, snippet, source, publishedAt };
+}
+
+// Publisher name shown on the card (next to its logo)
+function getCardSource(card) {
+  const selectors = [
+    '[data-n-tid="9"]', // Google News publisher name data attribute
+    '.vr1PYe', // Google News publisher name class
+    'img[alt] + div span' // Name next to the publisher logo
+  ];
+  for (const selector of selectors) {
+    const el = card.querySelector(selector);
+    const text = el && el.textContent ? el.textContent.trim() : '';
+    if (text && text.length < 80) return text;
+  }
+  return '';
 }
 
 function getTitleTextFromCard(card) {
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['runSummarize', 'createJob'];
+const TEXT = 'The regional rail operator will add night trains between the two cities from March, the transport ministry said.';
+
+function load(provider, settings = {}) {
+  return loadBackground({
+    expose: EXPOSE,
+    fetch: provider.fetch,
+    settings: { provider: 'anthropic', anthropicApiKey: 'sk-ant-test', model: 'claude-3-5-haiku-latest', maxRetries: 0, ...settings }
+  });
+}
+
+test('Anthropic gets the system prompt at the top level and the article as the user turn', async (t) => {
+  const provider = await startStubProvider({ reply: () => 'Night trains start in March.' });
+  t.after(provider.close);
+  const { api } = load(provider);
+
+  const result = await summarize(api, { type: 'summarize', text: TEXT });
+  assert.equal(result.summary, 'Night trains start in March.');
+  assert.equal(result.provider, 'anthropic');
+  const [request] = provider.requests;
+  assert.equal(request.path, '/v1/messages');
+  assert.equal(request.headers['x-api-key'], 'sk-ant-test');
+  assert.ok(request.headers['anthropic-version']);
+  assert.equal(request.headers['anthropic-dangerous-direct-browser-access'], 'true');
+  assert.equal(request.body.model, 'claude-3-5-haiku-latest');
+  assert.ok(request.body.max_tokens > 0);
+  assert.equal(typeof request.body.system, 'string');
+  assert.deepEqual(request.body.messages.map((m) => m.role), ['user']);
+  assert.match(request.body.messages[0].content, /night trains between the two cities/);
+});
+
+test('Anthropic text deltas are streamed to the listener', async (t) => {
+  const provider = await startStubProvider({ reply: () => 'Night trains between the two cities start in March.' });
+  t.after(provider.close);
+  const { api } = load(provider);
+  const deltas = [];
+
+  const result = await summarize(api, { type: 'summarize', text: TEXT }, (d) => deltas.push(d));
+  assert.equal(provider.requests[0].body.stream, true);
+  assert.ok(deltas.length > 1);
+  assert.equal(deltas.join(''), 'Night trains between the two cities start in March.');
+  assert.equal(result.summary, 'Night trains between the two cities start in March.');
+});
+
+test('Anthropic errors carry the API error type and message', async (t) => {
+  const provider = await startStubProvider({ status: { status: 401, message: 'invalid x-api-key' } });
+  t.after(provider.close);
+  const { api } = load(provider);
+
+  await assert.rejects(summarize(api, { type: 'summarize', text: TEXT }), (err) => {
+    assert.equal(err.kind, 'auth');
+    assert.match(err.message, /invalid x-api-key/);
+    return true;
+  });
+});
+
+test('a refusal is reported as declined, and a missing key stops before any request', async (t) => {
+  const provider = await startStubProvider({ reply: () => ({ content: [], stop_reason: 'refusal' }) });
+  t.after(provider.close);
+
+  await assert.rejects(summarize(load(provider).api, { type: 'summarize', text: TEXT }), /Anthropic declined/);
+  assert.equal(provider.requests.length, 1);
+  await assert.rejects(summarize(load(provider, { anthropicApiKey: '' }).api, { type: 'summarize', text: TEXT }), /Anthropic API key not set/);
+  assert.equal(provider.requests.length, 1);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, sendMessage, publisherFetch } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const TEXT = 'The ferry operator suspended crossings for the weekend after storm warnings were raised along the coast.';
+const ARTICLE_URL = 'https://news.example.com/2025/02/ferries-suspended';
+// Article ID with an opaque token: only the hidden tab can resolve it
+const OPAQUE_URL = 'https://news.google.com/read/CBMiOEFVX3lxTE9RNE5MYjhWSjByMXBDVksya0x4V2JLNllkbTdNejJjNVEzeHY3VzlKUHBSTnhYZlc4?hl=en-US';
+
+function settingsFor(provider, extra = {}) {
+  return { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', maxRetries: 0, ...extra };
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.ok(check(), 'condition not reached');
+}
+
+// Publisher that accepts the connection and never answers; the request only ends when aborted
+function stuckPublisher(calls) {
+  return (input, init) => {
+    calls.push(typeof input === 'string' ? input : input.url);
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+    });
+  };
+}
+
+test('the deadline aborts a provider that does not answer', async (t) => {
+  const provider = await startStubProvider({ delay: 5000 });
+  t.after(provider.close);
+  const { chrome } = loadBackground({ settings: settingsFor(provider, { requestTimeoutSeconds: 0.2 }) });
+
+  const response = await sendMessage(chrome, { type: 'summarize', text: TEXT });
+  assert.equal(response.ok, false);
+  assert.match(response.error, /^Timed out after 0\.2s/);
+  await waitFor(() => provider.requests[0].aborted);
+});
+
+test('the deadline aborts a stuck publisher before any provider call', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const calls = [];
+  const { chrome } = loadBackground({ settings: settingsFor(provider, { requestTimeoutSeconds: 0.2 }), fetch: stuckPublisher(calls) });
+
+  const response = await sendMessage(chrome, { type: 'summarizeFromUrl', url: ARTICLE_URL, card: { title: 'Ferries suspended' } });
+  assert.match(response.error, /^Timed out after 0\.2s/);
+  assert.deepEqual(calls, [ARTICLE_URL]);
+  assert.equal(provider.requests.length, 0);
+});
+
+test('a cancel message with the request id frees the provider request', async (t) => {
+  const provider = await startStubProvider({ delay: 5000 });
+  t.after(provider.close);
+  const { chrome } = loadBackground({ settings: settingsFor(provider) });
+
+  const pending = sendMessage(chrome, { type: 'summarize', text: TEXT, requestId: 'card-7' });
+  await waitFor(() => provider.requests.length === 1);
+  assert.equal((await sendMessage(chrome, { type: 'cancel', requestId: 'card-7' })).cancelled, true);
+  const response = await pending;
+  assert.equal(response.ok, false);
+  assert.match(response.error, /cancelled/);
+  await waitFor(() => provider.requests[0].aborted);
+  assert.equal((await sendMessage(chrome, { type: 'cancel', requestId: 'card-7' })).cancelled, false);
+});
+
+test('cancelling while the hidden tab resolves a Google News link closes the tab', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const removed = [];
+  const tabs = {
+    async create() { return { id: 42 }; },
+    async get(id) { return { id, url: OPAQUE_URL, status: 'loading' }; },
+    async remove(id) { removed.push(id); }
+  };
+  const created = [];
+  const { chrome } = loadBackground({
+    settings: settingsFor(provider),
+    tabs: { ...tabs, async create(props) { created.push(props); return tabs.create(); } },
+    fetch: publisherFetch({}, stuckPublisher([]))
+  });
+
+  const pending = sendMessage(chrome, { type: 'summarizeFromUrl', url: OPAQUE_URL, requestId: 'card-9' });
+  await waitFor(() => created.length === 1);
+  assert.equal(created[0].active, false);
+  await sendMessage(chrome, { type: 'cancel', requestId: 'card-9' });
+  assert.match((await pending).error, /cancelled/);
+  assert.deepEqual(removed, [42]);
+  assert.equal(provider.requests.length, 0);
+});
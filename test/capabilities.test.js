@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['listProviderModels', 'getModelCapabilities', 'runSummarize', 'createJob'];
+const PARAGRAPH = '<p>The harbour authority opened a second ferry terminal on Monday, doubling the number of daily crossings to the islands.</p>';
+const page = (n) => `<html><body><article>${PARAGRAPH.repeat(6)}<p>Report ${n}.</p></article></body></html>`;
+
+test('a context window reported by the models endpoint is discovered; the rest is inferred', async (t) => {
+  const provider = await startStubProvider({ models: [{ id: 'local-llama', context_length: 32768 }, { id: 'local-mistral' }] });
+  t.after(provider.close);
+  const { api, local } = loadBackground({ expose: EXPOSE, settings: { provider: 'custom', customBaseUrl: provider.baseUrl } });
+
+  const models = await api.listProviderModels({ provider: 'custom', customBaseUrl: provider.baseUrl });
+  assert.deepEqual(models.map((m) => [m.id, m.source, m.capabilities.contextWindow]), [
+    ['local-llama', 'discovered', 32768],
+    ['local-mistral', 'inferred', 8192]
+  ]);
+  assert.equal(local.modelCapabilities['custom:local-llama'].source, 'discovered');
+  const llama = await api.getModelCapabilities({ provider: 'custom', model: 'local-llama' });
+  assert.equal(llama.source, 'discovered');
+  assert.equal(llama.contextWindow, 32768);
+});
+
+test('OpenAI models are listed without embeddings, with capabilities inferred from the name', async (t) => {
+  const provider = await startStubProvider({ models: [{ id: 'gpt-4o-mini' }, { id: 'text-embedding-3-small' }, { id: 'gpt-5-nano' }] });
+  t.after(provider.close);
+  const { api } = loadBackground({ expose: EXPOSE, fetch: provider.fetch });
+
+  const models = await api.listProviderModels({ provider: 'openai', apiKey: 'sk-test' });
+  assert.deepEqual(models.map((m) => m.id), ['gpt-4o-mini', 'gpt-5-nano']);
+  assert.ok(models.every((m) => m.source === 'inferred'));
+  assert.equal(models.find((m) => m.id === 'gpt-5-nano').capabilities.api, 'responses');
+  assert.equal(provider.requests[0].headers.authorization, 'Bearer sk-test');
+  const unknown = await api.getModelCapabilities({ provider: 'openai', model: 'gpt-4o' });
+  assert.equal(unknown.source, 'inferred');
+});
+
+test('a model that refuses to stream is remembered and not asked to stream again', async (t) => {
+  const provider = await startStubProvider({
+    status: (body) => (body.stream ? { status: 400, message: 'Your organization must be verified to stream this model.' } : 200)
+  });
+  t.after(provider.close);
+  const urls = ['https://news.example.com/ferry-1', 'https://news.example.com/ferry-2'];
+  const { api, local } = loadBackground({
+    expose: EXPOSE,
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', maxRetries: 0 },
+    fetch: publisherFetch({ [urls[0]]: page(1), [urls[1]]: page(2) })
+  });
+  const deltas = [];
+
+  const first = await summarize(api, { type: 'summarizeFromUrl', url: urls[0] }, (d) => deltas.push(d));
+  assert.equal(first.summary, 'Stub summary.');
+  assert.deepEqual(provider.requests.map((r) => Boolean(r.body.stream)), [true, false]);
+  assert.equal(local.modelCapabilities['custom:stub-model'].stream, false);
+  assert.equal(local.modelCapabilities['custom:stub-model'].source, 'learned');
+
+  await summarize(api, { type: 'summarizeFromUrl', url: urls[1] }, (d) => deltas.push(d));
+  assert.deepEqual(provider.requests.map((r) => Boolean(r.body.stream)), [true, false, false]);
+  assert.deepEqual(deltas, []);
+});
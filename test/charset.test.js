@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const URL_ = 'https://regional.example.com/2025/08/story';
+// "東京の日本" in Shift_JIS
+const SJIS_PHRASE = [0x93, 0x8c, 0x8b, 0x9e, 0x82, 0xcc, 0x93, 0xfa, 0x96, 0x7b];
+const RUSSIAN = 'Городской совет утвердил бюджет на следующий год';
+
+// windows-1251 for ASCII and the basic Cyrillic alphabet
+function cp1251(text) {
+  return Uint8Array.from(text, (ch) => {
+    const code = ch.codePointAt(0);
+    if (code < 0x80) return code;
+    if (code >= 0x410 && code <= 0x44f) return code - 0x410 + 0xc0;
+    throw new Error(`no windows-1251 byte for ${ch}`);
+  });
+}
+
+function bytes(...parts) {
+  return Uint8Array.from(parts.flatMap((p) => (typeof p === 'string' ? [...Buffer.from(p, 'latin1')] : [...p])));
+}
+
+async function fetchPage(page) {
+  const { api } = loadBackground({ expose: ['fetchHtml'], fetch: publisherFetch({ [URL_]: page }) });
+  return api.fetchHtml(URL_);
+}
+
+test('the Content-Type charset decodes windows-1251 pages', async () => {
+  const html = await fetchPage({ body: cp1251(`<html><body><p>${RUSSIAN}</p></body></html>`), headers: { 'content-type': 'text/html; charset=windows-1251' } });
+  assert.ok(html.includes(RUSSIAN));
+});
+
+test('<meta charset> decodes Shift_JIS pages served without a charset', async () => {
+  const html = await fetchPage({ body: bytes('<html><head><meta charset="Shift_JIS"></head><body><p>', SJIS_PHRASE, '</p></body></html>'), headers: { 'content-type': 'text/html' } });
+  assert.ok(html.includes('東京の日本'));
+});
+
+test('<meta http-equiv> declares the charset too', async () => {
+  const html = await fetchPage({
+    body: bytes('<html><head><meta http-equiv="Content-Type" content="text/html; charset=iso-8859-1"></head><body>Caf', [0xe9], ' cr', [0xe8], 'me</body></html>'),
+    headers: { 'content-type': 'text/html' }
+  });
+  assert.ok(html.includes('Café crème'));
+});
+
+test('a BOM beats the header, and a page claiming UTF-16 in ASCII markup is UTF-8', async () => {
+  const withBom = await fetchPage({ body: bytes([0xef, 0xbb, 0xbf], Buffer.from('<p>Ünïcödé</p>')), headers: { 'content-type': 'text/html; charset=windows-1251' } });
+  assert.ok(withBom.includes('Ünïcödé'));
+  const claimsUtf16 = await fetchPage({ body: Buffer.from('<meta charset="utf-16"><p>Grüße</p>'), headers: { 'content-type': 'text/html' } });
+  assert.ok(claimsUtf16.includes('Grüße'));
+});
+
+test('undeclared pages are UTF-8 when they decode as such and windows-1252 otherwise', async () => {
+  assert.ok((await fetchPage({ body: Buffer.from('<p>Straße – “quoted”</p>'), headers: { 'content-type': 'text/html' } })).includes('Straße – “quoted”'));
+  // Bytes outside 0x80-0x9F, where Node's windows-1252 decoder agrees with browsers
+  assert.ok((await fetchPage({ body: bytes('<p>Stra', [0xdf], 'e, caf', [0xe9], '</p>'), headers: { 'content-type': 'text/html' } })).includes('Straße, café'));
+});
+
+test('numeric and named character references are decoded the way browsers do', () => {
+  const { api } = loadBackground({ expose: ['decodeHtml'] });
+  assert.equal(api.decodeHtml('It&#8217;s &#x2014; caf&eacute; &hellip; &#150; &euro;5 &amp; more'), 'It’s — café … – €5 & more');
+  assert.equal(api.decodeHtml('&notanentity; &copy &#0; &#xD800;'), '&notanentity; &copy � �');
+});
+
+test('a Shift_JIS article reaches the model as Japanese text', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const sentence = Array(30).fill(SJIS_PHRASE).flat();
+  const paragraph = ['<p>', sentence, [0x81, 0x42], '</p>'];
+  const body = bytes('<html><head><meta charset="shift_jis"><title>t</title></head><body><article>', ...Array(6).fill(paragraph).flat(), '</article></body></html>');
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0 },
+    fetch: publisherFetch({ [URL_]: { body, headers: { 'content-type': 'text/html' } } })
+  });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: URL_, card: { title: 'Card' } });
+  assert.equal(result.limited, undefined);
+  assert.equal(result.sourceLanguage, 'ja');
+  assert.match(provider.requests[0].body.messages[1].content, /東京の日本東京の日本/);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const JAPANESE = '東京都は月曜日、新しい防災計画を発表し、首都直下地震への備えを強化すると明らかにした。';
+const ENGLISH = 'The city council approved the new riverside park on Tuesday, officials said. ';
+
+test('token estimates follow the script: CJK text is about one token per character', () => {
+  const { api } = loadBackground({ expose: ['estimateTokens'] });
+  assert.equal(api.estimateTokens(JAPANESE.repeat(100)), JAPANESE.length * 100);
+  assert.equal(api.estimateTokens('a'.repeat(350)), 100);
+  assert.equal(api.estimateTokens('ж'.repeat(200)), 100);
+});
+
+test('a Japanese article is split to fit an 8192-token custom model', async (t) => {
+  const provider = await startStubProvider({ reply: (body, n) => `Part ${n}.` });
+  t.after(provider.close);
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob', 'estimateTokens'],
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0 }
+  });
+  const text = JAPANESE.repeat(Math.ceil(21000 / JAPANESE.length));
+  const result = await summarize(api, { type: 'summarize', text });
+  assert.ok(result.chunks >= 3, `only ${result.chunks} parts`);
+  for (const { body } of provider.requests.filter((r) => r.path.endsWith('/chat/completions'))) {
+    const tokens = body.messages.reduce((sum, m) => sum + api.estimateTokens(m.content), 0);
+    assert.ok(tokens <= 8192, `request of ~${tokens} tokens exceeds the context window`);
+  }
+});
+
+test('English text of the same length still fits in one request', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0 }
+  });
+  const result = await summarize(api, { type: 'summarize', text: ENGLISH.repeat(Math.floor(20000 / ENGLISH.length)) });
+  assert.equal(result.chunks, 1);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+const ids = require('./fixtures/google-news-ids.json');
+
+const readUrl = (id) => `https://news.google.com/read/${id}?hl=en-US&gl=US&ceid=US%3Aen`;
+
+test('Google News article IDs decode offline to the publisher URL', () => {
+  const { api } = loadBackground({ expose: ['decodeGoogleNewsUrl'] });
+  for (const { note, id, expected } of ids) {
+    // The VM context has its own Object prototype; compare plain copies
+    const decoded = { ...api.decodeGoogleNewsUrl(readUrl(id)) };
+    assert.deepEqual(decoded, expected, note);
+  }
+});
+
+test('RSS article links decode the same way as read links', () => {
+  const { api } = loadBackground({ expose: ['decodeGoogleNewsUrl'] });
+  const [first] = ids;
+  assert.equal(api.decodeGoogleNewsUrl(`https://news.google.com/rss/articles/${first.id}?oc=5`).url, first.expected.url);
+});
+
+test('a malformed ID is resolved with the helper tab instead of a guessed URL', async () => {
+  const corrupt = ids.find((f) => /Bad length prefix: field 4/.test(f.note));
+  const opened = [];
+  const { api } = loadBackground({
+    expose: ['resolveArticleUrl', 'createJob'],
+    tabs: {
+      async create({ url }) { opened.push(url); throw new Error('No tabs in tests'); },
+      async remove() {}
+    }
+  });
+  const url = readUrl(corrupt.id);
+  assert.equal(await api.resolveArticleUrl(url, api.createJob()), url);
+  assert.deepEqual(opened, [url]);
+});
+
+test('summarizeFromUrl on a decodable Google News link fetches the publisher page directly', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const [first] = ids;
+  const article = `<html><body><article>${'<p>Officials confirmed the figures on Monday, and the report was published in full, with tables.</p>'.repeat(6)}</article></body></html>`;
+  const { api, local } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0 },
+    fetch: publisherFetch({ [first.expected.url]: article })
+  });
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: readUrl(first.id) });
+  assert.equal(result.source.url, first.expected.url);
+  assert.equal(Object.values(local.resolvedUrls)[0].url, first.expected.url);
+});
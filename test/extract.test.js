@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+// Publisher pages in test/fixtures/articles, with what extractArticle should make of each in expected.json
+const FIXTURES = path.join(__dirname, 'fixtures', 'articles');
+const expected = require('./fixtures/articles/expected.json');
+const read = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+test('every article fixture has an expectation', () => {
+  const pages = fs.readdirSync(FIXTURES).filter((name) => name.endsWith('.html')).sort();
+  assert.deepEqual(pages, Object.keys(expected).sort());
+});
+
+for (const [name, want] of Object.entries(expected)) {
+  test(`extractArticle: ${name}`, () => {
+    const { api } = loadBackground({ expose: ['extractArticle', 'detectAccessWall'] });
+    const html = read(name);
+    const result = api.extractArticle(html);
+    assert.equal(api.detectAccessWall(html, result), want.wall || null);
+    if (want.strategy) assert.equal(result.strategy, want.strategy);
+    for (const text of want.includes || []) assert.ok(result.text.includes(text), `missing "${text}"`);
+    for (const text of want.excludes || []) assert.ok(!result.text.includes(text), `should not contain "${text}"`);
+    for (const [key, value] of Object.entries(want.meta || {})) assert.equal(result.meta[key], value, key);
+  });
+}
+
+test('summarizeFromUrl sends each fixture\'s article text, or the card for walls', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const pages = {};
+  for (const name of Object.keys(expected)) pages[`https://www.publisher.example/${name}`] = read(name);
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0, maxExtraPages: 0 },
+    fetch: publisherFetch(pages)
+  });
+  const card = { title: 'Card headline for the story', snippet: 'Card snippet.' };
+  for (const [name, want] of Object.entries(expected)) {
+    const before = provider.requests.length;
+    const result = await summarize(api, { type: 'summarizeFromUrl', url: `https://www.publisher.example/${name}`, card });
+    const user = provider.requests.slice(before).find((r) => r.path.endsWith('/chat/completions')).body.messages[1].content;
+    if (want.wall) {
+      assert.equal(result.limited, want.wall, name);
+      assert.match(user, /Card headline for the story/, name);
+    } else {
+      assert.equal(result.source.strategy, want.strategy, name);
+      for (const text of want.includes) assert.ok(user.includes(text), `${name}: prompt is missing "${text}"`);
+    }
+  }
+});
+
+test('deeply nested pages keep every paragraph', () => {
+  const { api } = loadBackground({ expose: ['extractArticle'] });
+  const paragraph = '<p>Officials said the plan, which passed on Monday, would take effect next year, and <a href="/x">critics</a> disagreed.</p>';
+  const html = `<html><body>${`<div>${paragraph}`.repeat(1500)}${'</div>'.repeat(1500)}</body></html>`;
+  const result = api.extractArticle(html);
+  assert.equal(result.strategy, 'density');
+  assert.equal(result.text.split('\n').length, 1500);
+  assert.equal(result.text.split('\n')[1499], result.text.split('\n')[0]);
+});
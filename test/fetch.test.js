@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+const EXPOSE = ['fetchHtml', 'checkFetchableUrl', 'extractTextFromGoogleNewsPage', 'createJob'];
+const HTML = { 'content-type': 'text/html; charset=utf-8' };
+
+// A response as the browser hands it over after following redirects: res.url is where the chain ended
+function served(finalUrl, body, { status = 200, headers = HTML, onRead } = {}) {
+  const stream = new ReadableStream({
+    pull(controller) {
+      if (onRead) onRead();
+      controller.enqueue(new TextEncoder().encode(body));
+      controller.close();
+    }
+  }, { highWaterMark: 0 }); // nothing is pulled until someone reads the body
+  const res = new Response(stream, { status, headers });
+  Object.defineProperty(res, 'url', { value: finalUrl });
+  return res;
+}
+
+// fetch stub from a { url: () => Response } map; records each request and its redirect mode
+function routes(map) {
+  const requested = [];
+  const fetchImpl = async (url, init = {}) => {
+    requested.push({ url, redirect: init.redirect });
+    const route = map[url];
+    return route ? route() : served(url, 'not found', { status: 404 });
+  };
+  return { fetchImpl, requested };
+}
+
+test('redirects are left to the browser and the final page is read', async () => {
+  const { fetchImpl, requested } = routes({
+    'http://news.example.com/a': () => served('https://news.example.com/story/a/', '<p>ok</p>')
+  });
+  const { api } = loadBackground({ expose: EXPOSE, fetch: fetchImpl });
+  assert.equal(await api.fetchHtml('http://news.example.com/a', { maxRetries: 0 }), '<p>ok</p>');
+  assert.deepEqual(requested, [{ url: 'http://news.example.com/a', redirect: 'follow' }]);
+});
+
+for (const target of ['http://127.0.0.1/admin', 'http://169.254.169.254/latest/meta-data/', 'http://10.1.2.3/', 'http://[64:ff9b::a9fe:a9fe]/']) {
+  test(`a redirect that ends at ${target} is refused before its body is read`, async () => {
+    let read = false;
+    const { fetchImpl, requested } = routes({
+      'https://news.example.com/a': () => served(target, 'secret', { onRead: () => { read = true; } })
+    });
+    const { api } = loadBackground({ expose: EXPOSE, fetch: fetchImpl });
+    await assert.rejects(api.fetchHtml('https://news.example.com/a', { maxRetries: 0 }), { name: 'FetchRefusedError' });
+    assert.equal(read, false);
+    // A refusal is final: no referrer retry
+    assert.equal(requested.length, 1);
+  });
+}
+
+test('private URLs are refused without any request', async () => {
+  const { fetchImpl, requested } = routes({});
+  const { api } = loadBackground({ expose: EXPOSE, fetch: fetchImpl });
+  await assert.rejects(api.fetchHtml('http://192.168.0.1/', { maxRetries: 0 }), { name: 'FetchRefusedError' });
+  assert.equal(requested.length, 0);
+});
+
+test('the Google News page fetch goes through the same guard', async () => {
+  const url = 'https://news.google.com/read/CBMiabc';
+  const { fetchImpl } = routes({ [url]: () => served('http://127.0.0.1:8080/', '<p>internal</p>') });
+  const { api } = loadBackground({ expose: EXPOSE, fetch: fetchImpl });
+  await assert.rejects(api.extractTextFromGoogleNewsPage(url, api.createJob()), { name: 'FetchRefusedError' });
+});
+
+test('private, loopback and IPv4-embedding IPv6 addresses are not fetchable', () => {
+  const { api } = loadBackground({ expose: EXPOSE });
+  const refused = [
+    'http://localhost/', 'http://printer.local/', 'http://127.0.0.1/', 'http://192.168.1.1/', 'http://100.64.0.1/',
+    'http://[::1]/', 'http://[fd00::1]/', 'http://[fe80::1]/', 'http://[::ffff:10.0.0.1]/',
+    'http://[64:ff9b::127.0.0.1]/', 'http://[64:ff9b::a00:1]/', 'http://[2002:a9fe:a9fe::1]/', 'http://[2002:c0a8:101::]/',
+    'file:///etc/passwd', 'http://user:pw@news.example.com/'
+  ];
+  for (const url of refused) assert.ok(api.checkFetchableUrl(url), `${url} should be refused`);
+  const allowed = ['https://news.example.com/a', 'http://8.8.8.8/', 'http://[2606:4700::1111]/', 'http://[64:ff9b::808:808]/', 'http://[2002:808:808::]/'];
+  for (const url of allowed) assert.equal(api.checkFetchableUrl(url), null, url);
+});
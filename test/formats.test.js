@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['runSummarize', 'createJob'];
+const TEXT = 'The school board voted to move the start of classes to 8:45 from next September, citing research on teenage sleep.';
+const ARTICLE_URL = 'https://news.example.com/2025/04/school-start';
+const PARAGRAPH = '<p>The school board voted on Monday to move the start of classes to 8:45 from next September, citing research on teenage sleep.</p>';
+
+function load(provider, extra = {}) {
+  return loadBackground({
+    expose: EXPOSE,
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0, ...extra },
+    fetch: publisherFetch({ [ARTICLE_URL]: `<html><body><article>${PARAGRAPH.repeat(6)}</article></body></html>` })
+  });
+}
+
+const CASES = [
+  {
+    format: 'bullets',
+    instruction: /into 3 to 5 bullet points/,
+    answer: 'Here is the summary:\n\n- Classes start at 8:45\n* **Starts** next September\n1. Based on sleep research',
+    expected: 'Here is the summary:\n\n• Classes start at 8:45\n• Starts next September\n• Based on sleep research'
+  },
+  {
+    format: 'tldr',
+    instruction: /starting with "TL;DR:"/,
+    answer: 'tldr: Later school start approved\n\n- From next September\n- Classes at 8:45',
+    expected: 'TL;DR: Later school start approved\n\n• From next September\n• Classes at 8:45'
+  },
+  {
+    format: 'paragraph',
+    instruction: /into one paragraph of 3 to 5 sentences/,
+    answer: 'The board approved a later start.\nClasses begin at 8:45.\n\nThe change follows sleep research.',
+    expected: 'The board approved a later start. Classes begin at 8:45. The change follows sleep research.'
+  },
+  {
+    format: 'oneline',
+    instruction: /into ONE single-line sentence/,
+    answer: `Later start approved\n${'and more '.repeat(40)}`,
+    expected: `Later start approved ${'and more '.repeat(40)}`.slice(0, 200).trim() + '…'
+  }
+];
+
+for (const { format, instruction, answer, expected } of CASES) {
+  test(`the ${format} format asks for its shape and tidies the answer`, async (t) => {
+    const provider = await startStubProvider({ reply: () => answer });
+    t.after(provider.close);
+    const { api } = load(provider, { summaryFormat: format });
+
+    const result = await summarize(api, { type: 'summarize', text: TEXT });
+    assert.equal(result.format, format);
+    assert.equal(result.summary, expected);
+    assert.match(provider.requests[0].body.messages[1].content, instruction);
+  });
+}
+
+test('the bubble switcher re-runs one card in another format without changing the saved setting', async (t) => {
+  const provider = await startStubProvider({ reply: (body) => (/bullet points/.test(body.messages[1].content) ? '- One\n- Two' : 'One line.') });
+  t.after(provider.close);
+  const { api, local } = load(provider, { summaryFormat: 'oneline' });
+
+  assert.equal((await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL })).summary, 'One line.');
+  const bullets = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL, format: 'bullets' });
+  assert.equal(bullets.summary, '• One\n• Two');
+  assert.equal(bullets.format, 'bullets');
+  assert.equal(local.summaryFormat, 'oneline');
+  assert.equal(provider.requests.length, 2);
+
+  // Each format has its own cache entry
+  assert.equal((await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL, format: 'bullets' })).cached, true);
+  assert.equal((await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL })).summary, 'One line.');
+  assert.equal(provider.requests.length, 2);
+});
+
+test('an unknown format in a message falls back to the saved one', async (t) => {
+  const provider = await startStubProvider({ reply: () => '- Only\n- Bullets' });
+  t.after(provider.close);
+  const { api } = load(provider, { summaryFormat: 'bullets' });
+
+  const result = await summarize(api, { type: 'summarize', text: TEXT, format: 'haiku' });
+  assert.equal(result.format, 'bullets');
+  assert.equal(result.summary, '• Only\n• Bullets');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['runSummarize', 'createJob'];
+const TEXT = 'Flooding closed the coastal road for a third day as the river crested above its 1998 record, emergency services said.';
+
+function load(provider, settings = {}) {
+  return loadBackground({
+    expose: EXPOSE,
+    fetch: provider.fetch,
+    settings: { provider: 'gemini', geminiApiKey: 'AIza-test', model: 'models/gemini-2.0-flash', maxRetries: 0, ...settings }
+  });
+}
+
+test('Gemini gets the system prompt as systemInstruction and the key in a header', async (t) => {
+  const provider = await startStubProvider({ reply: () => 'The coastal road stays closed.' });
+  t.after(provider.close);
+  const { api } = load(provider);
+
+  const result = await summarize(api, { type: 'summarize', text: TEXT });
+  assert.equal(result.summary, 'The coastal road stays closed.');
+  assert.equal(result.provider, 'gemini');
+  const [request] = provider.requests;
+  assert.equal(request.path, '/v1beta/models/gemini-2.0-flash:generateContent');
+  assert.equal(request.headers['x-goog-api-key'], 'AIza-test');
+  assert.ok(!request.path.includes('key='), 'the key must not be in the URL');
+  assert.equal(typeof request.body.systemInstruction.parts[0].text, 'string');
+  assert.match(request.body.contents[0].parts[0].text, /river crested above its 1998 record/);
+});
+
+test('Gemini streams through streamGenerateContent with SSE', async (t) => {
+  const provider = await startStubProvider({ reply: () => 'Flooding keeps the coastal road closed for a third day.' });
+  t.after(provider.close);
+  const { api } = load(provider);
+  const deltas = [];
+
+  const result = await summarize(api, { type: 'summarize', text: TEXT }, (d) => deltas.push(d));
+  assert.equal(provider.requests[0].path, '/v1beta/models/gemini-2.0-flash:streamGenerateContent?alt=sse');
+  assert.ok(deltas.length > 1);
+  assert.equal(deltas.join(''), result.summary);
+});
+
+test('a blocked prompt names the reason and the flagged categories', async (t) => {
+  const provider = await startStubProvider({
+    reply: () => ({
+      promptFeedback: {
+        blockReason: 'SAFETY',
+        safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH' }, { category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }]
+      }
+    })
+  });
+  t.after(provider.close);
+
+  await assert.rejects(summarize(load(provider).api, { type: 'summarize', text: TEXT }), (err) => {
+    assert.equal(err.kind, 'blocked');
+    assert.equal(err.message, 'Gemini refused to summarize this article (prompt blocked: safety; dangerous content).');
+    return true;
+  });
+});
+
+test('a candidate stopped for recitation is reported as withheld, not as an empty answer', async (t) => {
+  const provider = await startStubProvider({ reply: () => ({ candidates: [{ content: { parts: [] }, finishReason: 'RECITATION' }] }) });
+  t.after(provider.close);
+
+  await assert.rejects(summarize(load(provider).api, { type: 'summarize', text: TEXT }), /Gemini withheld the summary \(recitation\)/);
+});
+
+test('Gemini API errors carry the status and message', async (t) => {
+  const provider = await startStubProvider({ status: { status: 400, message: 'API key not valid. Please pass a valid API key.' } });
+  t.after(provider.close);
+
+  await assert.rejects(summarize(load(provider).api, { type: 'summarize', text: TEXT }), /API key not valid/);
+});
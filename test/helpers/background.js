@@ -0,0 +1,131 @@
+// Loads src/background.js into a fresh VM context with an in-memory chrome API, so the
+// service worker's functions can be called from node:test without a browser.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const BACKGROUND_JS = path.join(__dirname, '..', '..', 'src', 'background.js');
+
+// chrome.storage area backed by a plain object; values are copied like the real API does
+function memoryArea(store) {
+  const copy = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+  return {
+    async get(keys) {
+      const names = keys == null ? Object.keys(store) : [].concat(keys);
+      const out = {};
+      for (const name of names) if (name in store) out[name] = copy(store[name]);
+      return out;
+    },
+    async set(items) { Object.assign(store, copy(items)); },
+    async remove(keys) { for (const name of [].concat(keys)) delete store[name]; }
+  };
+}
+
+// chrome event whose listeners are kept, so tests can fire them
+function event() {
+  const listeners = [];
+  return { listeners, addListener(fn) { listeners.push(fn); } };
+}
+
+/**
+ * Returns { api, chrome, local, session } where api holds the requested background functions and
+ * local / session are the storage contents. options.fetch replaces the global fetch (publisher
+ * pages and provider calls both go through it); options.settings pre-fills chrome.storage.local;
+ * options.tabs replaces the chrome.tabs stub (which refuses to open tabs); options.log is true for
+ * the real console or a console-like object that collects the worker's log lines.
+ */
+function loadBackground({ expose = [], fetch: fetchImpl = fetch, settings = {}, tabs = null, log = false } = {}) {
+  const local = { ...settings };
+  const session = {};
+  const chrome = {
+    storage: { local: memoryArea(local), session: memoryArea(session), onChanged: event() },
+    runtime: { onInstalled: event(), onMessage: event(), onConnect: event() },
+    i18n: { getUILanguage: () => 'fr-FR' },
+    action: { onClicked: event() },
+    tabs: tabs || {
+      async create() { throw new Error('No tabs in tests'); },
+      async remove() {}
+    }
+  };
+  const quiet = { log() {}, warn() {}, error() {}, debug() {}, info() {} };
+  const context = vm.createContext({
+    chrome,
+    console: log === true ? console : log || quiet,
+    fetch: fetchImpl,
+    URL, URLSearchParams, TextDecoder, TextEncoder, AbortController, AbortSignal, DOMException,
+    Response, Request, Headers, ReadableStream, Blob,
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    crypto: globalThis.crypto, atob, btoa, structuredClone
+  });
+  const source = fs.readFileSync(BACKGROUND_JS, 'utf8');
+  vm.runInContext(`${source}\n;globalThis.__exposed = { ${expose.join(', ')} };`, context, { filename: BACKGROUND_JS });
+  return { api: context.__exposed, chrome, local, session };
+}
+
+/**
+ * Opens a port to the worker's onConnect listeners the way the content script does. The returned
+ * port collects everything the worker posts in messages; send() and disconnect() act as the page,
+ * and next(type) resolves with the first posted message of that type.
+ */
+function connectPort(chrome, name) {
+  const messages = [];
+  const waiting = [];
+  const onMessage = event();
+  const onDisconnect = event();
+  const port = {
+    name,
+    onMessage,
+    onDisconnect,
+    postMessage(msg) {
+      messages.push(msg);
+      for (const w of waiting.filter((w) => w.type === msg.type)) {
+        waiting.splice(waiting.indexOf(w), 1);
+        w.resolve(msg);
+      }
+    }
+  };
+  chrome.runtime.onConnect.listeners.forEach((fn) => fn(port));
+  return {
+    messages,
+    send: (msg) => onMessage.listeners.forEach((fn) => fn(msg)),
+    disconnect: () => onDisconnect.listeners.forEach((fn) => fn()),
+    next: (type) => new Promise((resolve) => {
+      const seen = messages.find((m) => m.type === type);
+      if (seen) resolve(seen);
+      else waiting.push({ type, resolve });
+    })
+  };
+}
+
+// Sends a one-shot runtime message to the worker and resolves with its sendResponse answer
+function sendMessage(chrome, message) {
+  return new Promise((resolve) => {
+    chrome.runtime.onMessage.listeners.forEach((fn) => fn(message, {}, resolve));
+  });
+}
+
+// fetch that answers publisher URLs from a { url: html } map and passes everything else on
+function publisherFetch(pages, next = fetch) {
+  return async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (Object.prototype.hasOwnProperty.call(pages, url)) {
+      const page = pages[url];
+      const { body, status = 200, headers = { 'content-type': 'text/html; charset=utf-8' } } = typeof page === 'string' ? { body: page } : page;
+      return new Response(body, { status, headers });
+    }
+    return next(input, init);
+  };
+}
+
+// Runs one message through runSummarize with a job that is always disposed; onDelta turns on streaming
+async function summarize(api, message, onDelta = null) {
+  const job = api.createJob();
+  job.onDelta = onDelta;
+  try {
+    return await api.runSummarize(message, job);
+  } finally {
+    job.dispose();
+  }
+}
+
+module.exports = { loadBackground, connectPort, sendMessage, publisherFetch, summarize };
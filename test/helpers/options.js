@@ -0,0 +1,57 @@
+// Loads options/options.js into a VM context without a page: document only records the
+// DOMContentLoaded hook, and chrome.runtime.sendMessage is answered by a background loaded with
+// loadBackground, so Options handlers can be driven by setting the elements they read in els.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const OPTIONS_JS = path.join(__dirname, '..', '..', 'options', 'options.js');
+
+// Stand-in for an element: value / textContent plus the classList the status line uses
+function fakeElement(props = {}) {
+  const classes = new Set();
+  return {
+    value: '',
+    textContent: '',
+    className: '',
+    hidden: false,
+    classList: { add: (c) => classes.add(c), contains: (c) => classes.has(c) },
+    ...props
+  };
+}
+
+/**
+ * Returns { api, els, created } where api holds the requested options.js functions, els is the
+ * page's element cache (empty until the test fills it) and created lists elements made with
+ * document.createElement (the export link).
+ */
+function loadOptions(background, { expose = [] } = {}) {
+  const created = [];
+  const document = {
+    addEventListener() {},
+    getElementById: () => null,
+    createElement(tag) {
+      const el = fakeElement({ tag, click() { el.clicked = true; } });
+      created.push(el);
+      return el;
+    }
+  };
+  const chrome = {
+    runtime: {
+      lastError: null,
+      sendMessage(message, callback) {
+        background.chrome.runtime.onMessage.listeners.forEach((fn) => fn(message, {}, callback));
+      }
+    }
+  };
+  const context = vm.createContext({
+    document, chrome, console: { log() {}, warn() {}, error() {} },
+    URL, Blob, setTimeout, clearTimeout
+  });
+  const source = fs.readFileSync(OPTIONS_JS, 'utf8');
+  vm.runInContext(`${source}\n;globalThis.__exposed = { els, ${expose.join(', ')} };`, context, { filename: OPTIONS_JS });
+  const { els, ...api } = context.__exposed;
+  return { api, els, created };
+}
+
+module.exports = { loadOptions, fakeElement };
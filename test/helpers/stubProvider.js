@@ -0,0 +1,124 @@
+// Local stand-in for the provider APIs: records every request and answers in the dialect the path
+// asks for (OpenAI chat completions and Responses, Anthropic Messages, Gemini generateContent),
+// streamed as SSE when the request asks for it.
+const http = require('http');
+
+// Hosts the background calls directly; stub.fetch sends them to this server instead
+const PROVIDER_ORIGINS = ['https://api.openai.com', 'https://api.anthropic.com', 'https://generativelanguage.googleapis.com'];
+
+/**
+ * reply(body, n, request) returns the summary text, or any other object to send as the raw JSON
+ * response (tool calls, blocked candidates). status(body, n, request) returns a status code or
+ * { status, message, headers } for an error answer. delay (ms, or a function of the same
+ * arguments) holds the answer back. models is the list served by the models endpoints.
+ */
+async function startStubProvider({ reply = () => 'Stub summary.', status = 200, delay = 0, models = [{ id: 'stub-model' }] } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      const body = raw ? JSON.parse(raw) : null;
+      const request = { method: req.method, path: req.url, headers: req.headers, body };
+      requests.push(request);
+      // Set when the caller gives up on the answer (an aborted fetch closes the connection)
+      res.on('close', () => { if (!res.writableFinished) request.aborted = true; });
+      const n = requests.length;
+      const wait = typeof delay === 'function' ? delay(body, n, request) : delay;
+      if (wait) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, wait);
+          res.on('close', () => { clearTimeout(timer); resolve(); });
+        });
+        if (res.destroyed) return;
+      }
+      const dialect = dialectFor(req.url);
+      if (req.method === 'GET') {
+        sendJson(res, 200, dialect === 'gemini' ? { models } : { data: models });
+        return;
+      }
+      const answer = typeof status === 'function' ? status(body, n, request) : status;
+      const failure = typeof answer === 'object' ? answer : { status: answer };
+      if (failure.status !== 200) {
+        const message = failure.message || `stub error ${failure.status}`;
+        sendJson(res, failure.status, { error: { type: 'stub_error', message } }, failure.headers);
+        return;
+      }
+      const content = reply(body, n, request);
+      const streaming = dialect === 'gemini' ? req.url.includes(':streamGenerateContent') : Boolean(body && body.stream);
+      if (typeof content !== 'string') sendJson(res, 200, content);
+      else if (streaming) sendStream(res, dialect, content);
+      else sendJson(res, 200, DIALECTS[dialect].json(content));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return {
+    baseUrl: `${origin}/v1`,
+    requests,
+    // fetch that answers the real provider hosts from this server and passes everything else on
+    fetch: (input, init) => {
+      const url = typeof input === 'string' ? input : input.url;
+      const host = PROVIDER_ORIGINS.find((o) => url.startsWith(`${o}/`));
+      return fetch(host ? origin + url.slice(host.length) : input, init);
+    },
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+function dialectFor(path) {
+  if (path.startsWith('/v1beta/')) return 'gemini';
+  if (path.startsWith('/v1/messages')) return 'anthropic';
+  if (path.startsWith('/v1/responses')) return 'responses';
+  return 'chat';
+}
+
+const DIALECTS = {
+  chat: {
+    json: (text) => ({ choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'stop' }] }),
+    events: (pieces) => [
+      ...pieces.map((piece) => ({ data: { choices: [{ delta: { content: piece } }] } })),
+      { data: '[DONE]' }
+    ]
+  },
+  responses: {
+    json: (text) => ({ status: 'completed', output: [{ type: 'message', content: [{ type: 'output_text', text }] }] }),
+    events: (pieces, text) => [
+      ...pieces.map((delta) => ({ data: { type: 'response.output_text.delta', delta } })),
+      { data: { type: 'response.completed', response: { status: 'completed', output_text: text } } }
+    ]
+  },
+  anthropic: {
+    json: (text) => ({ content: [{ type: 'text', text }], stop_reason: 'end_turn' }),
+    events: (pieces) => [
+      { event: 'message_start', data: { type: 'message_start', message: { content: [] } } },
+      ...pieces.map((piece) => ({ event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: piece } } })),
+      { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'end_turn' } } },
+      { event: 'message_stop', data: { type: 'message_stop' } }
+    ]
+  },
+  gemini: {
+    json: (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }] }),
+    events: (pieces) => pieces.map((piece, i) => ({
+      data: { candidates: [{ content: { role: 'model', parts: [{ text: piece }] }, ...(i === pieces.length - 1 ? { finishReason: 'STOP' } : {}) }] }
+    }))
+  }
+};
+
+function sendJson(res, code, payload, headers = {}) {
+  res.writeHead(code, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function sendStream(res, dialect, text) {
+  res.writeHead(200, { 'content-type': 'text/event-stream' });
+  for (const { event, data } of DIALECTS[dialect].events(text.match(/.{1,8}/gs) || [], text)) {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  }
+  res.end();
+}
+
+module.exports = { startStubProvider };
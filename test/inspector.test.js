@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const ARTICLE_URL = 'https://news.example.com/2025/11/tram-line';
+const PARAGRAPH = '<p>The new tram line between the station and the university opens on Monday with a train every six minutes at peak times.</p>';
+const PAGE = `<html><body><article>${PARAGRAPH.repeat(6)}</article></body></html>`;
+
+function load(provider, pages = { [ARTICLE_URL]: PAGE }) {
+  return loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0 },
+    fetch: publisherFetch(pages)
+  });
+}
+
+// The prompts as the provider received them
+const sent = (provider) => provider.requests.map((r) => ({ system: r.body.messages[0].content, user: r.body.messages[1].content }));
+
+test('the result carries where the text came from and exactly what the model was sent', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider);
+
+  const direct = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  const text = provider.requests.at(-1).body.messages[1].content;
+  assert.deepEqual({ ...direct.source }, { url: ARTICLE_URL, strategy: 'density', pages: 1, chars: direct.source.chars });
+  assert.ok(text.includes(PARAGRAPH.replace(/<\/?p>/g, '')));
+  assert.deepEqual(JSON.parse(JSON.stringify(direct.prompts)), sent(provider).slice(-1));
+});
+
+test('a long article lists every partial prompt and the combining prompt, in order', async (t) => {
+  const provider = await startStubProvider({ reply: (body, n) => `Part ${n}.` });
+  t.after(provider.close);
+  const long = `<html><body><article>${PARAGRAPH.repeat(300)}</article></body></html>`;
+  const { api } = load(provider, { [ARTICLE_URL]: long });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  assert.ok(result.chunks > 1);
+  assert.equal(result.prompts.length, provider.requests.length);
+  assert.deepEqual(JSON.parse(JSON.stringify(result.prompts)), sent(provider));
+  assert.match(result.prompts.at(-1).user, /Part 1\./);
+});
+
+test('cached answers keep the source details but not the article text', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api, local } = load(provider);
+
+  const first = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  const again = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  assert.equal(again.cached, true);
+  assert.deepEqual({ ...again.source }, { ...first.source });
+  assert.equal(again.prompts, undefined);
+  assert.ok(!JSON.stringify(local.summaryCache).includes('every six minutes'), 'the cache should not store the article');
+});
+
+test('card-only and walled articles say that the card was summarized', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const paywall = '<html><body><h1>Tram line opens</h1><p>Subscribe to continue reading this article.</p></body></html>';
+  const { api } = load(provider, { [ARTICLE_URL]: paywall });
+  const card = { title: 'Tram line opens Monday', snippet: 'Trains every six minutes.', url: 'https://news.google.com/read/x' };
+
+  const walled = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL, card });
+  assert.deepEqual({ ...walled.source }, { url: ARTICLE_URL, strategy: 'card', pages: 0, chars: 'Tram line opens Monday. Trains every six minutes.'.length });
+  assert.equal(walled.limited, 'paywall');
+
+  const cardOnly = await summarize(api, { type: 'summarize', text: 'Tram line opens Monday.', card });
+  assert.deepEqual({ ...cardOnly.source }, { url: card.url, strategy: 'card', pages: 0, chars: 'Tram line opens Monday.'.length });
+  assert.equal(cardOnly.prompts[0].user, provider.requests.at(-1).body.messages[1].content);
+});
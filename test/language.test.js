@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['runSummarize', 'createJob'];
+const GERMAN_URL = 'https://zeitung.example.de/2025/05/radwege';
+const SPANISH_URL = 'https://diario.example.es/2025/05/metro';
+const GERMAN = '<p>Der Stadtrat hat am Dienstag beschlossen, dass die neuen Radwege entlang des Flusses noch in diesem Jahr gebaut werden, und die Arbeiten sollen im Herbst beginnen.</p>';
+const SPANISH = '<p>El ayuntamiento de la ciudad anunció que la nueva línea del metro abrirá en el mes de junio, y que las obras de las estaciones están casi terminadas para los vecinos.</p>';
+
+function load(provider, extra = {}) {
+  return loadBackground({
+    expose: EXPOSE,
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0, targetLanguage: 'en', ...extra },
+    fetch: publisherFetch({
+      [GERMAN_URL]: `<html lang="de-AT"><body><article>${GERMAN.repeat(5)}</article></body></html>`,
+      // No lang attribute: the language is guessed from the text
+      [SPANISH_URL]: `<html><body><article>${SPANISH.repeat(5)}</article></body></html>`
+    })
+  });
+}
+
+const userPrompt = (request) => request.body.messages[1].content;
+
+test('an article in another language is summarized and translated in one call', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider);
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: GERMAN_URL });
+  assert.equal(result.sourceLanguage, 'de');
+  assert.equal(result.targetLanguage, 'en');
+  assert.equal(result.translated, true);
+  assert.equal(provider.requests.length, 1);
+  assert.match(userPrompt(provider.requests[0]), /The article is in German\. Translate while summarizing: write the summary in English\./);
+});
+
+test('the source language is guessed from the text when the page does not declare it', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider);
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: SPANISH_URL });
+  assert.equal(result.sourceLanguage, 'es');
+  assert.equal(result.translated, true);
+  assert.match(userPrompt(provider.requests[0]), /The article is in Spanish\./);
+});
+
+test('"show original" summarizes without translating and is cached separately', async (t) => {
+  const provider = await startStubProvider({ reply: (body) => (/Translate while summarizing/.test(userPrompt({ body })) ? 'Bike lanes approved.' : 'Radwege beschlossen.') });
+  t.after(provider.close);
+  const { api, local } = load(provider);
+
+  assert.equal((await summarize(api, { type: 'summarizeFromUrl', url: GERMAN_URL })).summary, 'Bike lanes approved.');
+  const original = await summarize(api, { type: 'summarizeFromUrl', url: GERMAN_URL, original: true });
+  assert.equal(original.summary, 'Radwege beschlossen.');
+  assert.equal(original.translated, false);
+  assert.doesNotMatch(userPrompt(provider.requests[1]), /Translate|write the summary in/);
+  assert.equal(local.targetLanguage, 'en');
+  assert.equal((await summarize(api, { type: 'summarizeFromUrl', url: GERMAN_URL })).cached, true);
+  assert.equal(provider.requests.length, 2);
+});
+
+test('an article already in the target language is not marked as translated', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider, { targetLanguage: 'de' });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: GERMAN_URL });
+  assert.equal(result.translated, false);
+  assert.match(userPrompt(provider.requests[0]), /Write the summary in German\./);
+});
+
+test('card text uses the Google News edition language, and "browser" follows the UI language', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider, { targetLanguage: 'browser' });
+
+  const result = await summarize(api, { type: 'summarize', text: 'Metro nuevo en junio', language: 'es-419' });
+  assert.equal(result.sourceLanguage, 'es');
+  assert.equal(result.targetLanguage, 'fr');
+  assert.match(userPrompt(provider.requests[0]), /The article is in Spanish\. Translate while summarizing: write the summary in French\./);
+});
+
+test('no target language leaves the prompt without language instructions', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider, { targetLanguage: '' });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: GERMAN_URL });
+  assert.equal(result.translated, false);
+  assert.equal(result.sourceLanguage, 'de');
+  assert.doesNotMatch(userPrompt(provider.requests[0]), /Translate|write the summary in/i);
+});
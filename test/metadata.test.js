@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const BODY = 'The port authority approved a second container terminal on Thursday. Construction is expected to take four years and create 900 jobs, the authority said. ';
+
+function ldPage(ld, head = '', body = '<div id="app">Loading article…</div>') {
+  return `<html lang="en"><head>${head}<script type="application/ld+json">${typeof ld === 'string' ? ld : JSON.stringify(ld)}</script></head><body>${body}</body></html>`;
+}
+
+test('JSON-LD articles are found inside @graph, with people and publishers reduced to names', () => {
+  const { api } = loadBackground({ expose: ['extractPageMeta'] });
+  const html = ldPage({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', name: 'Harbour Gazette' },
+      {
+        '@type': ['NewsArticle'],
+        headline: 'Port approves &quot;second&quot; terminal',
+        author: [{ '@type': 'Person', name: 'Ana Costa' }, 'Rui Lima', 'https://harbour.example/staff/3'],
+        publisher: { '@type': 'Organization', name: 'Harbour Gazette' },
+        datePublished: '2025-07-03T10:00:00+01:00',
+        description: 'A four-year build.',
+        articleBody: `<p>${BODY}</p><p>${BODY}</p>`
+      }
+    ]
+  });
+
+  const meta = api.extractPageMeta(html);
+  assert.equal(meta.title, 'Port approves "second" terminal');
+  assert.equal(meta.author, 'Ana Costa, Rui Lima');
+  assert.equal(meta.source, 'Harbour Gazette');
+  assert.equal(meta.publishedAt, '2025-07-03T10:00:00+01:00');
+  assert.equal(meta.description, 'A four-year build.');
+  assert.equal(meta.articleBodySource, 'json-ld');
+  assert.ok(!meta.articleBody.includes('<p>'), 'markup in articleBody should be reduced to text');
+  assert.equal(meta.isAccessibleForFree, null);
+});
+
+test('Open Graph wins the title, JSON-LD wins the author, and a profile URL is never an author', () => {
+  const { api } = loadBackground({ expose: ['extractPageMeta'] });
+  const head = '<meta property="og:title" content="Second terminal approved"><meta property="article:author" content="https://harbour.example/ana">'
+    + '<meta name="author" content="Desk">';
+
+  assert.equal(api.extractPageMeta(ldPage({ '@type': 'Article', headline: 'Other', author: { name: 'Ana Costa' } }, head)).title, 'Second terminal approved');
+  assert.equal(api.extractPageMeta(ldPage({ '@type': 'Article', author: { name: 'Ana Costa' } }, head)).author, 'Ana Costa');
+  const noLd = '<html><head><meta property="article:author" content="https://harbour.example/ana"></head><body></body></html>';
+  assert.equal(api.extractPageMeta(noLd).author, '');
+});
+
+test('an unparseable JSON-LD block is skipped for the next one, CDATA wrappers included', () => {
+  const { api } = loadBackground({ expose: ['extractPageMeta'] });
+  const html = '<html><head><script type="application/ld+json">{ "@type": "NewsArticle", broken </script>'
+    + '<script type="application/ld+json">//<![CDATA[\n{"@type":"ReportageNewsArticle","headline":"Terminal approved"}\n//]]></script></head><body></body></html>';
+
+  assert.equal(api.extractPageMeta(html).title, 'Terminal approved');
+});
+
+test('a paywalled part marks the article as not free, and a short teaser is then a paywall', () => {
+  const { api } = loadBackground({ expose: ['extractArticle', 'detectAccessWall'] });
+  const html = ldPage(
+    { '@type': 'NewsArticle', headline: 'Terminal approved', isAccessibleForFree: 'True', hasPart: { '@type': 'WebPageElement', isAccessibleForFree: false, cssSelector: '.locked' } },
+    '',
+    `<article><p>${BODY}</p><div class="locked"></div></article>`
+  );
+
+  const result = api.extractArticle(html);
+  assert.equal(result.meta.isAccessibleForFree, false);
+  assert.equal(api.detectAccessWall(html, result), 'paywall');
+});
+
+test('articleBody is the text sent to the model; the byline comes from the page, the headline from the card', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const url = 'https://harbour.example/2025/07/terminal';
+  const html = ldPage({
+    '@type': 'NewsArticle',
+    headline: 'Port approves second terminal',
+    author: { name: 'Ana Costa' },
+    publisher: { name: 'Harbour Gazette' },
+    datePublished: '2025-07-03',
+    articleBody: BODY.repeat(4)
+  });
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: {
+      provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0,
+      userPromptTemplate: '{{title}} | {{source}} | {{author}} | {{publishedAt}}\n{{text}}'
+    },
+    fetch: publisherFetch({ [url]: html })
+  });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url, card: { title: 'Card title', source: 'Card source' } });
+  assert.equal(result.source.strategy, 'json-ld');
+  assert.deepEqual({ ...result.article }, { title: 'Card title', source: 'Card source', author: 'Ana Costa', publishedAt: '2025-07-03', url });
+  const [first, text] = provider.requests[0].body.messages[1].content.split('\n');
+  assert.equal(first, 'Card title | Card source | Ana Costa | 2025-07-03');
+  const bare = await summarize(api, { type: 'summarizeFromUrl', url, force: true });
+  assert.equal(bare.article.title, 'Port approves second terminal');
+  assert.equal(bare.article.source, 'Harbour Gazette');
+  assert.match(text, /^The port authority approved a second container terminal/);
+  assert.doesNotMatch(text, /Loading article/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const BASE = 'https://news.example.com/2025/10/long-read';
+
+function paragraphs(label, n = 4) {
+  return Array.from({ length: n }, (_, i) => `<p>${label} paragraph ${i + 1}: the investigation into the water company found years of missed repairs across the region.</p>`).join('');
+}
+
+function page({ head = '', intro = '<p>By Sam Reed. This story is part of our water series, updated every week.</p>', body, links = '' }) {
+  return `<html><head>${head}</head><body><article>${intro}${body}</article>${links}</body></html>`;
+}
+
+async function run(t, pages, maxExtraPages, url = BASE) {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  // Publisher URLs in the order they were requested
+  const fetched = [];
+  const answer = publisherFetch(pages);
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0, maxExtraPages },
+    fetch: (input, init) => {
+      const target = typeof input === 'string' ? input : input.url;
+      if (!target.startsWith(provider.baseUrl)) fetched.push(target);
+      return answer(input, init);
+    }
+  });
+  const result = await summarize(api, { type: 'summarizeFromUrl', url });
+  return { result, user: provider.requests[0].body.messages[1].content, fetched };
+}
+
+test('rel="next" pages are followed up to the limit and joined without repeated paragraphs', async (t) => {
+  const pages = {
+    [BASE]: page({ head: `<link rel="next" href="${BASE}?page=2">`, body: paragraphs('First') }),
+    [`${BASE}?page=2`]: page({ head: `<link rel="next" href="${BASE}?page=3">`, body: paragraphs('Second') }),
+    [`${BASE}?page=3`]: page({ head: `<link rel="next" href="${BASE}?page=4">`, body: paragraphs('Third') }),
+    [`${BASE}?page=4`]: page({ body: paragraphs('Fourth') })
+  };
+  const { result, user } = await run(t, pages, 2);
+
+  assert.equal(result.source.pages, 3);
+  assert.match(user, /First paragraph 1[\s\S]*Second paragraph 4[\s\S]*Third paragraph 4/);
+  assert.doesNotMatch(user, /Fourth/);
+  assert.equal(user.match(/part of our water series/g).length, 1);
+});
+
+test('numbered ?page= and /page/N links and "continue reading" labels are found without rel="next"', async (t) => {
+  const pages = {
+    [BASE]: page({ body: paragraphs('First'), links: `<nav><a href="${BASE}?page=3">3</a><a href="${BASE}?page=2">2</a></nav>` }),
+    [`${BASE}?page=2`]: page({ body: paragraphs('Second'), links: `<a href="${BASE}/page/3">3</a>` }),
+    [`${BASE}/page/3`]: page({ body: paragraphs('Third'), links: '<a href="/2025/10/long-read-part-4">Continue reading »</a>' }),
+    'https://news.example.com/2025/10/long-read-part-4': page({ body: paragraphs('Fourth') })
+  };
+  const { result, user } = await run(t, pages, 5);
+
+  assert.equal(result.source.pages, 4);
+  assert.match(user, /First[\s\S]*Second[\s\S]*Third[\s\S]*Fourth/);
+});
+
+test('pagination stops at other sites, loops and pages that fail', async (t) => {
+  const pages = {
+    [BASE]: page({ head: `<link rel="next" href="${BASE}?page=2">`, body: paragraphs('First') }),
+    // Points back at page one
+    [`${BASE}?page=2`]: page({ head: `<link rel="next" href="${BASE}">`, body: paragraphs('Second'), links: '<a href="https://elsewhere.example.org/next">Next page</a>' })
+  };
+  const loop = await run(t, pages, 5);
+  assert.equal(loop.result.source.pages, 2);
+  assert.deepEqual(loop.fetched, [BASE, `${BASE}?page=2`]);
+
+  const missing = await run(t, { [BASE]: page({ head: `<link rel="next" href="${BASE}?page=2">`, body: paragraphs('First') }), [`${BASE}?page=2`]: { body: 'gone', status: 404 } }, 5);
+  assert.equal(missing.result.source.pages, 1);
+  assert.match(missing.user, /First paragraph 4/);
+});
+
+test('a page limit of 0 reads only the first page', async (t) => {
+  const pages = {
+    [BASE]: page({ head: `<link rel="next" href="${BASE}?page=2">`, body: paragraphs('First') }),
+    [`${BASE}?page=2`]: page({ body: paragraphs('Second') })
+  };
+  const { result, fetched } = await run(t, pages, 0);
+  assert.equal(result.source.pages, 1);
+  assert.deepEqual(fetched, [BASE]);
+});
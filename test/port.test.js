@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, connectPort } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const PORT = 'gns-summarize';
+const TEXT = 'The museum reopened its east wing after a two-year renovation, with the restored murals on show from Saturday.';
+
+function load(provider) {
+  return loadBackground({ settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', maxRetries: 0 } });
+}
+
+// Polls until check() is truthy; fails the test after a second
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.ok(check(), 'condition not reached');
+}
+
+test('the summarize port forwards streamed tokens and then the finished summary', async (t) => {
+  const provider = await startStubProvider({ reply: () => 'The east wing and its restored murals reopen on Saturday.' });
+  t.after(provider.close);
+  const { chrome } = load(provider);
+
+  const port = connectPort(chrome, PORT);
+  port.send({ type: 'summarize', text: TEXT });
+  const done = await port.next('done');
+  assert.equal(done.summary, 'The east wing and its restored murals reopen on Saturday.');
+  assert.equal(provider.requests[0].body.stream, true);
+  const deltas = port.messages.filter((m) => m.type === 'delta');
+  assert.ok(deltas.length > 1);
+  assert.equal(deltas.map((m) => m.text).join(''), done.summary);
+  assert.equal(port.messages.at(-1), done);
+});
+
+test('closing the bubble disconnects the port and aborts the provider request', async (t) => {
+  const provider = await startStubProvider({ delay: 5000 });
+  t.after(provider.close);
+  const { chrome } = load(provider);
+
+  const port = connectPort(chrome, PORT);
+  port.send({ type: 'summarize', text: TEXT });
+  await waitFor(() => provider.requests.length === 1);
+  port.disconnect();
+  await waitFor(() => provider.requests[0].aborted);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(port.messages.filter((m) => m.type === 'done' || m.type === 'error'), []);
+});
+
+test('a cancel message aborts the request without posting an error', async (t) => {
+  const provider = await startStubProvider({ delay: 5000 });
+  t.after(provider.close);
+  const { chrome } = load(provider);
+
+  const port = connectPort(chrome, PORT);
+  port.send({ type: 'summarize', text: TEXT });
+  await waitFor(() => provider.requests.length === 1);
+  port.send({ type: 'cancel' });
+  await waitFor(() => provider.requests[0].aborted);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(port.messages, []);
+});
+
+test('ports with another name are left alone', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { chrome } = load(provider);
+
+  const port = connectPort(chrome, 'something-else');
+  port.send({ type: 'summarize', text: TEXT });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(provider.requests.length, 0);
+  assert.deepEqual(port.messages, []);
+});
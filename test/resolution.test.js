@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+const OPAQUE_ID = 'CBMiOEFVX3lxTE9RNE5MYjhWSjByMXBDVksya0x4V2JLNllkbTdNejJjNVEzeHY3VzlKUHBSTnhYZlc4';
+const DECODABLE_ID = 'CBMiLmh0dHBzOi8vd3d3LmJiYy5jb20vbmV3cy9hcnRpY2xlcy9jampqbnhkdjE4ZW_SAQA';
+const PUBLISHER_URL = 'https://www.example-news.com/world/2025/harbour-expansion';
+const DAY = 24 * 3600000;
+
+// Hidden-tab stub whose tab lands on the publisher at once
+function redirectingTabs(created) {
+  return {
+    async create(props) { created.push(props.url); return { id: created.length }; },
+    async get(id) { return { id, url: PUBLISHER_URL, status: 'complete' }; },
+    async remove() {}
+  };
+}
+
+test('a story resolved through the hidden tab is not resolved again from another Google News page', async () => {
+  const created = [];
+  const { api, local } = loadBackground({ expose: ['resolveArticleUrl'], tabs: redirectingTabs(created) });
+
+  assert.equal(await api.resolveArticleUrl(`https://news.google.com/read/${OPAQUE_ID}?hl=en-US&gl=US`), PUBLISHER_URL);
+  assert.equal(created.length, 1);
+  assert.equal(local.resolvedUrls[OPAQUE_ID].url, PUBLISHER_URL);
+
+  // Same article from the For You page, an RSS link and another edition
+  for (const url of [
+    `https://news.google.com/articles/${OPAQUE_ID}?hl=de&gl=DE`,
+    `https://news.google.com/rss/articles/${OPAQUE_ID}?oc=5`,
+    `https://news.google.com/foryou/read/${OPAQUE_ID}`
+  ]) {
+    assert.equal(await api.resolveArticleUrl(url), PUBLISHER_URL);
+  }
+  assert.equal(created.length, 1);
+});
+
+test('decoded article IDs are remembered too', async () => {
+  const created = [];
+  const { api, local } = loadBackground({ expose: ['resolveArticleUrl'], tabs: redirectingTabs(created) });
+
+  assert.equal(await api.resolveArticleUrl(`https://news.google.com/read/${DECODABLE_ID}`), 'https://www.bbc.com/news/articles/cjjjnxdv18eo');
+  assert.equal(local.resolvedUrls[DECODABLE_ID].url, 'https://www.bbc.com/news/articles/cjjjnxdv18eo');
+  assert.equal(created.length, 0);
+});
+
+test('expired resolutions are resolved again and the oldest entries are dropped beyond the limit', async () => {
+  const created = [];
+  const now = Date.now();
+  const resolvedUrls = { [OPAQUE_ID]: { url: 'https://old.example.com/moved', resolvedAt: now - 31 * DAY } };
+  for (let i = 0; i < 2000; i++) resolvedUrls[`CBMi${i}`] = { url: `https://news.example.com/${i}`, resolvedAt: now - DAY + i };
+  const { api, local } = loadBackground({ expose: ['resolveArticleUrl'], tabs: redirectingTabs(created), settings: { resolvedUrls } });
+
+  assert.equal(await api.resolveArticleUrl(`https://news.google.com/read/${OPAQUE_ID}`), PUBLISHER_URL);
+  assert.equal(created.length, 1);
+  assert.equal(local.resolvedUrls[OPAQUE_ID].url, PUBLISHER_URL);
+  assert.equal(Object.keys(local.resolvedUrls).length, 2000);
+  assert.ok(!('CBMi0' in local.resolvedUrls), 'the oldest entry should have been evicted');
+  assert.ok('CBMi1999' in local.resolvedUrls);
+});
+
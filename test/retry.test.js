@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, connectPort, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const TEXT = 'The central bank held its key rate at 4.5 percent and signalled that cuts could begin in the autumn.';
+const ARTICLE_URL = 'https://news.example.com/2025/03/rates-held';
+const PARAGRAPH = '<p>The central bank held its key rate at 4.5 percent on Thursday and signalled that cuts could begin in the autumn.</p>';
+
+function settingsFor(provider, extra = {}) {
+  return { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 2, ...extra };
+}
+
+test('a 429 is retried after the Retry-After pause and the bubble is told why it waits', async (t) => {
+  const provider = await startStubProvider({
+    status: (body, n) => (n === 1 ? { status: 429, message: 'Rate limit reached for requests', headers: { 'retry-after': '1' } } : 200)
+  });
+  t.after(provider.close);
+  const { chrome } = loadBackground({ settings: settingsFor(provider) });
+
+  const port = connectPort(chrome, 'gns-summarize');
+  port.send({ type: 'summarize', text: TEXT });
+  const done = await port.next('done');
+  assert.equal(done.summary, 'Stub summary.');
+  assert.equal(provider.requests.length, 2);
+  assert.deepEqual(port.messages.filter((m) => m.type === 'status').map((m) => m.text), ['Custom endpoint rate limited, retrying in 1s…']);
+});
+
+test('server errors use the backoff; the last one is reported readably once the budget is spent', async (t) => {
+  const provider = await startStubProvider({ status: { status: 503, message: 'The engine is currently overloaded', headers: { 'retry-after-ms': '10' } } });
+  t.after(provider.close);
+  const { api } = loadBackground({ expose: ['runSummarize', 'createJob'], settings: settingsFor(provider, { maxRetries: 1 }) });
+
+  await assert.rejects(summarize(api, { type: 'summarize', text: TEXT }), (err) => {
+    assert.equal(err.message, 'Custom endpoint server error (503): The engine is currently overloaded');
+    assert.equal(err.kind, 'server');
+    return true;
+  });
+  assert.equal(provider.requests.length, 2);
+});
+
+test('a pause longer than the retry cap is not waited out', async (t) => {
+  const provider = await startStubProvider({ status: { status: 429, message: 'Daily quota exceeded', headers: { 'retry-after': '3600' } } });
+  t.after(provider.close);
+  const { api } = loadBackground({ expose: ['runSummarize', 'createJob'], settings: settingsFor(provider) });
+
+  await assert.rejects(summarize(api, { type: 'summarize', text: TEXT }), /rate limit reached \(429\).*Daily quota exceeded/);
+  assert.equal(provider.requests.length, 1);
+});
+
+test('maxRetries 0 turns retrying off', async (t) => {
+  const provider = await startStubProvider({ status: (body, n) => (n === 1 ? 500 : 200) });
+  t.after(provider.close);
+  const { api } = loadBackground({ expose: ['runSummarize', 'createJob'], settings: settingsFor(provider, { maxRetries: 0 }) });
+
+  await assert.rejects(summarize(api, { type: 'summarize', text: TEXT }), /server error \(500\)/);
+  assert.equal(provider.requests.length, 1);
+});
+
+test('publisher pages are retried too', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  let hits = 0;
+  const page = `<html><body><article>${PARAGRAPH.repeat(6)}</article></body></html>`;
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: settingsFor(provider),
+    fetch: (input, init) => {
+      const url = typeof input === 'string' ? input : input.url;
+      if (url !== ARTICLE_URL) return fetch(input, init);
+      hits++;
+      return publisherFetch({ [ARTICLE_URL]: hits === 1 ? { body: 'busy', status: 503, headers: { 'retry-after': '0' } } : page })(input, init);
+    }
+  });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  assert.equal(hits, 2);
+  assert.equal(result.contentStrategy, 'full');
+  assert.match(provider.requests[0].body.messages[1].content, /key rate at 4\.5 percent/);
+});
+
+test('rate-limit reset headers are read in the OpenAI and Anthropic formats', () => {
+  const { api } = loadBackground({ expose: ['retryDelayFromHeaders'] });
+  const delay = (headers) => api.retryDelayFromHeaders(new Headers(headers));
+
+  assert.equal(delay({ 'retry-after': '7' }), 7000);
+  assert.equal(delay({ 'retry-after-ms': '250', 'retry-after': '7' }), 250);
+  assert.equal(delay({ 'x-ratelimit-reset-requests': '6m0s', 'x-ratelimit-reset-tokens': '20ms' }), 360000);
+  const reset = delay({ 'anthropic-ratelimit-requests-reset': new Date(Date.now() + 60000).toISOString() });
+  assert.ok(reset > 50000 && reset <= 60000);
+  assert.equal(delay({}), null);
+});
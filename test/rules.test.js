@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveObjectURL } = require('buffer');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { loadOptions, fakeElement } = require('./helpers/options');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const SENTENCE = 'The city library will stay open until midnight during the exam season, the council said on Tuesday.';
+
+test('rules are normalized, and each invalid one is reported and left out', () => {
+  const { api } = loadBackground({ expose: ['parseExtractionRules'] });
+
+  const { rules, errors } = api.parseExtractionRules([
+    { host: ' News.Example.COM ', body: '.story-text', remove: ['.ad', '//aside'] },
+    { host: 'http://example.com', body: ['p'] },
+    { host: 'example.org', prefer: 'rss' },
+    { host: 'example.net', body: ['div:not(.ad)'] },
+    { host: '*.example.io' },
+    'example.dev'
+  ]);
+  assert.deepEqual(plain(rules), [{ host: 'news.example.com', body: ['.story-text'], remove: ['.ad', '//aside'], prefer: '' }]);
+  assert.deepEqual(plain(errors), [
+    'Rule 2: "host" must be a hostname like example.com or *.example.com.',
+    'Rule 3: "prefer" must be "amp", "json-ld" or empty.',
+    'Rule 4 body "div:not(.ad)": unsupported CSS near ":not(.ad)"',
+    'Rule 5: needs "body", "remove" or "prefer".',
+    'Rule 6: expected an object.'
+  ]);
+  assert.deepEqual(plain(api.parseExtractionRules({ host: 'example.com' }).errors), ['Rules must be a JSON array.']);
+});
+
+test('the selector engine supports the documented CSS and XPath subset', () => {
+  const { api } = loadBackground({ expose: ['parseHtmlTree', 'selectElements'] });
+  const tree = api.parseHtmlTree(`<html><body>
+    <div id="main" class="article body-wrap"><p id="a">A</p><section><p id="b" data-role="lede">B</p></section></div>
+    <aside class="art-rail"><p id="c">C</p></aside>
+    <div class="footer"><p id="d" lang="en-GB">D</p></div>
+  </body></html>`);
+  const ids = (selector) => plain(api.selectElements(tree, selector).map((el) => el.attrs.id || el.attrs.class));
+
+  assert.deepEqual(ids('div.article > p'), ['a']);
+  assert.deepEqual(ids('#main p'), ['a', 'b']);
+  assert.deepEqual(ids('[data-role="lede"], aside p'), ['b', 'c']);
+  assert.deepEqual(ids('[class^=art-]'), ['art-rail']);
+  assert.deepEqual(ids('[class*="wrap"] section > p'), ['b']);
+  assert.deepEqual(ids('p[lang|=en]'), ['d']);
+  assert.deepEqual(ids("//div[@id='main']//p"), ['a', 'b']);
+  assert.deepEqual(ids("//div[contains(@class,'foot')]/p"), ['d']);
+  assert.deepEqual(ids("//*[starts-with(@class,'art-')]"), ['art-rail']);
+  assert.deepEqual(ids('/html/body/div/p'), ['a', 'd']);
+  assert.throws(() => api.selectElements(tree, 'p::first-line'), /unsupported CSS/);
+  assert.throws(() => api.selectElements(tree, '//p[position()=1]'), /unsupported XPath predicate/);
+});
+
+test('a matching site rule picks the body and strips its removals before the heuristics run', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const url = 'https://www.example.com/2025/09/library-hours';
+  const html = `<html><body>
+    <div class="comments">${`<p>Reader comment that is long enough to look like article text to the heuristics, going on and on.</p>`.repeat(12)}</div>
+    <div class="story-text">${`<p>${SENTENCE}</p><div class="ad">Advertisement: buy now</div>`.repeat(4)}</div>
+  </body></html>`;
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: {
+      provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0,
+      extractionRules: [{ host: '*.example.com', body: ['.story-text'], remove: ['.ad'] }, { host: 'other.example.org', body: ['.comments'] }]
+    },
+    fetch: publisherFetch({ [url]: html })
+  });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url, card: { title: 'Library hours' } });
+  assert.equal(result.source.strategy, 'rule');
+  const user = provider.requests[0].body.messages[1].content;
+  assert.match(user, /stay open until midnight/);
+  assert.doesNotMatch(user, /Reader comment|Advertisement/);
+});
+
+test('a rule can prefer the AMP page or the publisher\'s JSON-LD body', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const url = 'https://amp.example.com/story';
+  const ampUrl = 'https://amp.example.com/amp/story';
+  const ldUrl = 'https://ld.example.com/story';
+  const { api } = loadBackground({
+    expose: ['runSummarize', 'createJob'],
+    settings: {
+      provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0,
+      extractionRules: [{ host: 'amp.example.com', prefer: 'amp' }, { host: 'ld.example.com', prefer: 'json-ld', body: ['.teaser'] }]
+    },
+    fetch: publisherFetch({
+      [url]: '<html><head><link rel="amphtml" href="/amp/story"></head><body><div id="app"></div></body></html>',
+      [ampUrl]: `<html><body><article>${`<p>AMP: ${SENTENCE}</p>`.repeat(4)}</article></body></html>`,
+      [ldUrl]: `<html><head><script type="application/ld+json">${JSON.stringify({ '@type': 'NewsArticle', articleBody: `LD: ${SENTENCE} `.repeat(4) })}</script></head>`
+        + `<body><div class="teaser">${`<p>Teaser: ${SENTENCE}</p>`.repeat(4)}</div></body></html>`
+    })
+  });
+
+  const amp = await summarize(api, { type: 'summarizeFromUrl', url });
+  assert.equal(amp.source.strategy, 'amp/density');
+  assert.match(provider.requests[0].body.messages[1].content, /AMP: The city library/);
+  const ld = await summarize(api, { type: 'summarizeFromUrl', url: ldUrl });
+  assert.equal(ld.source.strategy, 'json-ld');
+  assert.doesNotMatch(provider.requests[1].body.messages[1].content, /Teaser/);
+});
+
+function optionsPage(rules) {
+  const background = loadBackground();
+  const { api, els, created } = loadOptions(background, { expose: ['onImportRules', 'onExportRules'] });
+  els.status = fakeElement();
+  els.extractionRules = fakeElement({ value: JSON.stringify(rules) });
+  els.importRulesFile = fakeElement();
+  const file = (name, content) => ({ name, text: async () => content });
+  return { api, els, created, file };
+}
+
+test('importing a shared rules file replaces rules for the same hosts and keeps the rest', async () => {
+  const { api, els, file } = optionsPage([{ host: 'a.example.com', body: ['.x'] }, { host: 'b.example.com', remove: ['.y'] }]);
+
+  els.importRulesFile.files = [file('team-rules.json', JSON.stringify({ rules: [{ host: 'B.example.com', body: ['article'] }, { host: 'c.example.com', prefer: 'amp' }] }))];
+  await api.onImportRules();
+  assert.equal(els.status.textContent, 'Imported 2 site rules. Save to apply them.');
+  assert.deepEqual(JSON.parse(els.extractionRules.value), [
+    { host: 'a.example.com', body: ['.x'] },
+    { host: 'b.example.com', body: ['article'], remove: [], prefer: '' },
+    { host: 'c.example.com', body: [], remove: [], prefer: 'amp' }
+  ]);
+});
+
+test('an import with a bad selector or bad JSON changes nothing and says why', async () => {
+  const { api, els, file } = optionsPage([{ host: 'a.example.com', body: ['.x'] }]);
+  const before = els.extractionRules.value;
+
+  els.importRulesFile.files = [file('rules.json', JSON.stringify([{ host: 'd.example.com', body: ['p:hover'] }]))];
+  await api.onImportRules();
+  assert.equal(els.status.textContent, 'Import failed: Site rules: Rule 1 body "p:hover": unsupported CSS near ":hover"');
+  assert.ok(els.status.classList.contains('error'));
+
+  els.importRulesFile.files = [file('rules.json', '{ nope')];
+  await api.onImportRules();
+  assert.match(els.status.textContent, /^Import failed: rules\.json is not valid JSON/);
+  assert.equal(els.extractionRules.value, before);
+});
+
+test('exported rules are the normalized set, ready to import elsewhere', async () => {
+  const { api, els, created } = optionsPage([{ host: 'News.Example.com', body: '.story' }]);
+
+  await api.onExportRules();
+  const [link] = created;
+  assert.equal(link.download, 'gns-site-rules.json');
+  assert.ok(link.clicked);
+  const exported = JSON.parse(await resolveObjectURL(link.href).text());
+  assert.deepEqual(exported, [{ host: 'news.example.com', body: ['.story'], remove: [], prefer: '' }]);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+
+test('parallel provider failures all keep their cooldown entries', async () => {
+  const { api, session } = loadBackground({ expose: ['markProviderFailure', 'clearProviderFailure'] });
+  const keys = Array.from({ length: 8 }, (_, i) => `custom:model-${i}`);
+  await Promise.all(keys.map((key) => api.markProviderFailure(key, { kind: 'server' }, 5)));
+  assert.deepEqual(Object.keys(session.providerHealth).sort(), keys.slice().sort());
+
+  await Promise.all([api.clearProviderFailure(keys[0]), api.markProviderFailure('openai:gpt-5-nano', { kind: 'auth' }, 5)]);
+  assert.ok(!(keys[0] in session.providerHealth));
+  assert.equal(session.providerHealth['openai:gpt-5-nano'].reason, 'auth');
+});
+
+test('parallel capability lessons about one model are all remembered', async () => {
+  const { api, local } = loadBackground({ expose: ['rememberModelCapabilities', 'rememberModelList'] });
+  await Promise.all([
+    api.rememberModelCapabilities('openai', 'gpt-x', { api: 'responses' }, 'learned'),
+    api.rememberModelCapabilities('openai', 'gpt-x', { stream: false }, 'learned'),
+    api.rememberModelCapabilities('openai', 'gpt-x', { jsonSchema: false }, 'learned'),
+    api.rememberModelList('openai', [{ id: 'gpt-y', capabilities: { contextWindow: 128000 } }])
+  ]);
+  const cache = local.modelCapabilities;
+  assert.equal(cache['openai:gpt-x'].api, 'responses');
+  assert.equal(cache['openai:gpt-x'].stream, false);
+  assert.equal(cache['openai:gpt-x'].jsonSchema, false);
+  assert.equal(cache['openai:gpt-y'].contextWindow, 128000);
+});
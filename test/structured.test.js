@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['runSummarize', 'createJob'];
+const TEXT = 'Lisbon city council approved a tourist tax increase on Wednesday; the mayor said the money will fund housing.';
+const ANSWER = {
+  headline: ' Lisbon raises its tourist tax ',
+  summary: 'The council approved a higher tourist tax to fund housing.',
+  keyPoints: ['Approved on Wednesday', ' Revenue goes to housing ', ''],
+  entities: [{ name: 'Lisbon', type: 'location' }, { name: 'City council', type: 'organization' }],
+  sentiment: 'neutral'
+};
+const EXPECTED = {
+  headline: 'Lisbon raises its tourist tax',
+  summary: 'The council approved a higher tourist tax to fund housing.',
+  keyPoints: ['Approved on Wednesday', 'Revenue goes to housing'],
+  entities: [{ name: 'Lisbon', type: 'location' }, { name: 'City council', type: 'organization' }],
+  sentiment: 'neutral'
+};
+
+function load(provider, settings) {
+  return loadBackground({ expose: EXPOSE, fetch: provider.fetch, settings: { summaryFormat: 'structured', maxRetries: 0, ...settings } }).api;
+}
+
+function customSettings(provider) {
+  return { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model' };
+}
+
+test('OpenAI-style endpoints get a json_schema response format and the answer comes back as an object', async (t) => {
+  // Some local models wrap the JSON in a code fence even when asked not to
+  const provider = await startStubProvider({ reply: () => `\`\`\`json\n${JSON.stringify(ANSWER)}\n\`\`\`` });
+  t.after(provider.close);
+  const deltas = [];
+
+  const result = await summarize(load(provider, customSettings(provider)), { type: 'summarize', text: TEXT }, (d) => deltas.push(d));
+  assert.equal(result.format, 'structured');
+  assert.deepEqual(JSON.parse(JSON.stringify(result.summary)), EXPECTED);
+  const { body } = provider.requests[0];
+  assert.equal(body.response_format.type, 'json_schema');
+  assert.deepEqual(body.response_format.json_schema.schema.required, ['headline', 'summary', 'keyPoints', 'entities', 'sentiment']);
+  assert.ok(!body.stream, 'structured output must not stream');
+  assert.deepEqual(deltas, []);
+});
+
+test('Anthropic is forced to call the record_summary tool and its input is the summary', async (t) => {
+  const provider = await startStubProvider({ reply: () => ({ content: [{ type: 'tool_use', name: 'record_summary', input: ANSWER }], stop_reason: 'tool_use' }) });
+  t.after(provider.close);
+
+  const result = await summarize(load(provider, { provider: 'anthropic', anthropicApiKey: 'sk-ant-test' }), { type: 'summarize', text: TEXT });
+  assert.deepEqual(JSON.parse(JSON.stringify(result.summary)), EXPECTED);
+  const { body } = provider.requests[0];
+  assert.deepEqual(body.tool_choice, { type: 'tool', name: 'record_summary' });
+  assert.equal(body.tools[0].input_schema.properties.sentiment.enum.length, 4);
+});
+
+test('Gemini gets the schema in its OpenAPI dialect', async (t) => {
+  const provider = await startStubProvider({ reply: () => JSON.stringify(ANSWER) });
+  t.after(provider.close);
+
+  const result = await summarize(load(provider, { provider: 'gemini', geminiApiKey: 'AIza-test' }), { type: 'summarize', text: TEXT });
+  assert.deepEqual(JSON.parse(JSON.stringify(result.summary)), EXPECTED);
+  const { generationConfig } = provider.requests[0].body;
+  assert.equal(generationConfig.responseMimeType, 'application/json');
+  assert.equal(generationConfig.responseSchema.type, 'OBJECT');
+  assert.equal(generationConfig.responseSchema.properties.entities.items.type, 'OBJECT');
+  assert.ok(!JSON.stringify(generationConfig.responseSchema).includes('additionalProperties'));
+});
+
+test('an answer that is not JSON is invalid output', async (t) => {
+  const provider = await startStubProvider({ reply: () => 'Lisbon raised its tourist tax.' });
+  t.after(provider.close);
+
+  await assert.rejects(summarize(load(provider, customSettings(provider)), { type: 'summarize', text: TEXT }), (err) => {
+    assert.equal(err.kind, 'invalid_output');
+    assert.equal(err.message, 'Custom endpoint did not return a JSON summary');
+    return true;
+  });
+});
+
+test('JSON that breaks the schema is invalid output naming the first problem', async (t) => {
+  const provider = await startStubProvider({ reply: () => JSON.stringify({ ...ANSWER, sentiment: 'upbeat', entities: [{ name: 'Lisbon', type: 'city' }] }) });
+  t.after(provider.close);
+
+  await assert.rejects(summarize(load(provider, customSettings(provider)), { type: 'summarize', text: TEXT }), (err) => {
+    assert.equal(err.kind, 'invalid_output');
+    assert.match(err.message, /^Custom endpoint returned an invalid summary \(entities need a name and a type/);
+    return true;
+  });
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['runSummarize', 'createJob'];
+const ARTICLE_URL = 'https://news.example.com/2025/01/city-park';
+const PARAGRAPH = '<p>The city council approved the new riverside park on Tuesday, and construction will start in the spring, officials said.</p>';
+
+function settingsFor(provider) {
+  return { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0 };
+}
+
+test('summarizeFromUrl fetches the article and sends its text to the provider', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = loadBackground({
+    expose: EXPOSE,
+    settings: settingsFor(provider),
+    fetch: publisherFetch({ [ARTICLE_URL]: `<html lang="en"><head><title>Park</title></head><body><article>${PARAGRAPH.repeat(6)}</article></body></html>` })
+  });
+
+  const result = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL, card: { title: 'Park approved' } });
+  assert.equal(result.summary, 'Stub summary.');
+  assert.equal(result.provider, 'custom');
+  assert.equal(result.source.url, ARTICLE_URL);
+  assert.equal(result.contentStrategy, 'full');
+  const chats = provider.requests.filter((r) => r.path.endsWith('/chat/completions'));
+  assert.equal(chats.length, 1);
+  assert.match(chats[0].body.messages[1].content, /riverside park on Tuesday/);
+});
+
+test('a second click on the same article is answered from the summary cache', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = loadBackground({
+    expose: EXPOSE,
+    settings: settingsFor(provider),
+    fetch: publisherFetch({ [ARTICLE_URL]: `<html><body><article>${PARAGRAPH.repeat(6)}</article></body></html>` })
+  });
+
+  await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  const again = await summarize(api, { type: 'summarizeFromUrl', url: `${ARTICLE_URL}?utm_source=gn` });
+  assert.equal(again.cached, true);
+  assert.equal(provider.requests.filter((r) => r.path.endsWith('/chat/completions')).length, 1);
+});
+
+test('summaries from a fallback provider are not cached for the primary model', async (t) => {
+  const provider = await startStubProvider({ status: (body) => (body.model === 'primary-model' ? 500 : 200) });
+  t.after(provider.close);
+  const { api } = loadBackground({
+    expose: EXPOSE,
+    settings: { ...settingsFor(provider), model: 'primary-model', fallbackChain: [{ provider: 'custom', model: 'backup-model' }] },
+    fetch: publisherFetch({ [ARTICLE_URL]: `<html><body><article>${PARAGRAPH.repeat(6)}</article></body></html>` })
+  });
+
+  const first = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  assert.equal(first.model, 'backup-model');
+  const second = await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  assert.notEqual(second.cached, true);
+});
+
+test('changing the site rule for the article\'s host bypasses the cached summary', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api, local } = loadBackground({
+    expose: EXPOSE,
+    settings: settingsFor(provider),
+    fetch: publisherFetch({ [ARTICLE_URL]: `<html><body><article>${PARAGRAPH.repeat(6)}</article></body></html>` })
+  });
+
+  await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  local.extractionRules = [{ host: 'other.example.org', body: ['main'] }];
+  assert.equal((await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL })).cached, true);
+  local.extractionRules.push({ host: 'example.com', body: ['article'] });
+  assert.notEqual((await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL })).cached, true);
+  local.maxExtraPages = 0;
+  assert.notEqual((await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL })).cached, true);
+});
+
+test('a paywalled article falls back to the card headline', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const paywall = '<html><body><article><p>Subscribe to continue reading.</p></article><div class="paywall"></div></body></html>';
+  const { api } = loadBackground({ expose: EXPOSE, settings: settingsFor(provider), fetch: publisherFetch({ [ARTICLE_URL]: paywall }) });
+
+  const result = await summarize(api, {
+    type: 'summarizeFromUrl',
+    url: ARTICLE_URL,
+    card: { title: 'Council approves riverside park', snippet: 'Construction starts in spring.' }
+  });
+  assert.equal(result.limited, 'paywall');
+  const user = provider.requests.find((r) => r.path.endsWith('/chat/completions')).body.messages[1].content;
+  assert.match(user, /Council approves riverside park/);
+  assert.doesNotMatch(user, /Subscribe to continue reading/);
+});
+
+test('a wall with no card headline to fall back to is an error, not a summary of the wall', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const consent = '<html><body><div class="consent"><h1>We value your privacy</h1><p>Accept all cookies or reject all cookies to continue.</p></div></body></html>';
+  const { api } = loadBackground({ expose: EXPOSE, settings: settingsFor(provider), fetch: publisherFetch({ [ARTICLE_URL]: consent }) });
+
+  await assert.rejects(summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL, card: { title: '', snippet: '' } }), /consent page/);
+  assert.equal(provider.requests.length, 0);
+});
+
+test('the card-only path summarizes the given text without fetching anything', async (t) => {
+  const provider = await startStubProvider({ reply: (body) => `Echo: ${body.model}` });
+  t.after(provider.close);
+  const { api } = loadBackground({
+    expose: EXPOSE,
+    settings: settingsFor(provider),
+    fetch: publisherFetch({}, (input, init) => {
+      const url = typeof input === 'string' ? input : input.url;
+      assert.ok(url.startsWith(provider.baseUrl), `unexpected fetch of ${url}`);
+      return fetch(input, init);
+    })
+  });
+
+  const result = await summarize(api, { type: 'summarize', text: 'Council approves riverside park. Construction starts in spring.' });
+  assert.equal(result.summary, 'Echo: stub-model');
+  assert.equal(result.contentStrategy, 'card');
+});
+
+test('settings are logged with every API key masked', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const lines = [];
+  const collect = (...args) => lines.push(JSON.stringify(args));
+  const { api } = loadBackground({
+    expose: EXPOSE,
+    settings: { ...settingsFor(provider), customApiKey: 'sk-custom-secret', apiKey: 'sk-openai-secret', anthropicApiKey: 'sk-ant-secret', geminiApiKey: 'AIza-secret' },
+    fetch: publisherFetch({ [ARTICLE_URL]: `<html><body><article>${PARAGRAPH.repeat(6)}</article></body></html>` }),
+    log: { log: collect, warn: collect, error: collect, debug: collect, info: collect }
+  });
+
+  await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  assert.ok(lines.some((line) => line.includes('Raw stored settings')));
+  assert.ok(!lines.some((line) => /secret/.test(line)), 'an API key reached the log');
+  assert.equal(provider.requests.find((r) => r.path.endsWith('/chat/completions')).body.model, 'stub-model');
+});
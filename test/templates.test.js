@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground, sendMessage, publisherFetch, summarize } = require('./helpers/background');
+const { startStubProvider } = require('./helpers/stubProvider');
+
+const EXPOSE = ['runSummarize', 'createJob'];
+const ARTICLE_URL = 'https://news.example.com/2025/06/bridge-reopens';
+const PARAGRAPH = '<p>The old stone bridge reopened to pedestrians on Friday after eighteen months of repairs to its foundations.</p>';
+const PAGE = `<html lang="en"><head>
+  <title>Bridge reopens | Example Times</title>
+  <meta property="og:title" content="Old stone bridge reopens after repairs">
+  <meta property="og:site_name" content="Example Times">
+  <meta name="author" content="Maria Lopez">
+  <meta property="article:published_time" content="2025-06-06T08:00:00Z">
+</head><body><article>${PARAGRAPH.repeat(6)}</article></body></html>`;
+
+function load(provider, extra = {}) {
+  return loadBackground({
+    expose: EXPOSE,
+    settings: { provider: 'custom', customBaseUrl: provider.baseUrl, model: 'stub-model', stream: false, maxRetries: 0, ...extra },
+    fetch: publisherFetch({ [ARTICLE_URL]: PAGE })
+  });
+}
+
+test('templates are filled from the article metadata and the extracted text', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider, {
+    systemPrompt: 'You summarize {{language}} news.',
+    userPromptTemplate: '{{title}} ({{source}}, {{publishedAt}}){{#author}} by {{author}}{{/author}}\n{{url}}\n{{format}}\n{{text}}'
+  });
+
+  await summarize(api, { type: 'summarizeFromUrl', url: ARTICLE_URL });
+  const [system, user] = provider.requests[0].body.messages.map((m) => m.content);
+  assert.equal(system, 'You summarize English news.');
+  const lines = user.split('\n');
+  assert.equal(lines[0], 'Old stone bridge reopens after repairs (Example Times, 2025-06-06T08:00:00Z) by Maria Lopez');
+  assert.equal(lines[1], ARTICLE_URL);
+  assert.equal(lines[2], 'into ONE single-line sentence (max 25 words)');
+  assert.match(lines[3], /^The old stone bridge reopened to pedestrians/);
+});
+
+test('a section disappears when its variable is empty, and the article is appended when the template leaves it out', async (t) => {
+  const provider = await startStubProvider();
+  t.after(provider.close);
+  const { api } = load(provider, { userPromptTemplate: 'Summarize{{#author}} the piece by {{author}}{{/author}}.' });
+
+  await summarize(api, { type: 'summarize', text: 'Bridge reopens after repairs to its foundations.', card: { title: 'Bridge reopens' } });
+  assert.equal(provider.requests[0].body.messages[1].content, 'Summarize.\n---\nBridge reopens after repairs to its foundations.\n---');
+});
+
+test('the Options preview reports template errors', async () => {
+  const { chrome } = loadBackground();
+  const preview = (settings) => sendMessage(chrome, { type: 'previewPrompt', settings });
+
+  const broken = await preview({ systemPrompt: 'Hi {{reader}}', userPromptTemplate: '{{#title}}{{title}} {{/source}}' });
+  assert.deepEqual([...broken.errors], [
+    'System prompt: unknown variable {{reader}} (available: title, source, author, publishedAt, url, description, text, language, format, translation)',
+    'User prompt: {{/source}} closes {{#title}}',
+    'User prompt: must contain {{text}} (the article)'
+  ]);
+  assert.equal(broken.user, null);
+
+  const unclosed = await preview({ userPromptTemplate: '{{#title}}{{title}}\n{{text}}' });
+  assert.deepEqual([...unclosed.errors], ['User prompt: {{#title}} is never closed with {{/title}}']);
+  const stray = await preview({ userPromptTemplate: '{{text}} }}' });
+  assert.deepEqual([...stray.errors], ['User prompt: unbalanced {{ or }}']);
+});
+
+test('the Options preview renders valid templates against the sample article', async () => {
+  const { chrome } = loadBackground();
+
+  const preview = await sendMessage(chrome, { type: 'previewPrompt', settings: { systemPrompt: 'Style: neutral.', userPromptTemplate: '{{source}} / {{author}}: {{text}}' } });
+  assert.deepEqual([...preview.errors], []);
+  assert.equal(preview.system, 'Style: neutral.');
+  assert.equal(preview.user, 'Example News / Jane Doe: World leaders met in Geneva on Tuesday to discuss economic cooperation and pledged new measures to stabilize markets.');
+});